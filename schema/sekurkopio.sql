@@ -6,7 +6,60 @@ CREATE TABLE BackupList (
     id INTEGER UNIQUE PRIMARY KEY AUTOINCREMENT,
 
     dbName TEXT,
-    backupName TEXT
+    backupName TEXT,
+
+    -- When the backup was (most recently) written, how many bytes it occupies
+    -- in the bucket, and whether it is pinned; pinned backups are never pruned.
+    createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    size INTEGER NOT NULL DEFAULT 0,
+    isPinned INTEGER NOT NULL DEFAULT 0,
+
+    -- For an incremental backup, the name of the backup of the same database
+    -- that it was made relative to; NULL for a full backup.
+    baseName TEXT
+);
+
+
+--------------------------------------------------------------------------------
+
+
+-- Each row in this table schedules an automatic backup of the database named
+-- by dbName, in the given backup format, whenever the cron trigger whose
+-- expression is cron fires. The cron expression must exactly match one of the
+-- triggers that are configured in wrangler.toml.
+--
+-- A dbName of '*' schedules a backup of every bound D1 database.
+DROP TABLE IF EXISTS BackupSchedule;
+CREATE TABLE BackupSchedule (
+    id INTEGER UNIQUE PRIMARY KEY AUTOINCREMENT,
+
+    dbName TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    format TEXT NOT NULL DEFAULT 'files' CHECK (format IN ('files', 'tar', 'tgz'))
+);
+
+
+--------------------------------------------------------------------------------
+
+
+-- Each row in this table is the retention policy for the backups of the
+-- database named by dbName; a dbName of '*' provides the policy for any
+-- database that does not have one of its own. All rules are optional:
+--   keepLast    - always keep this many of the most recent backups
+--   keepDaily   - keep the newest backup of each of this many recent days
+--   keepWeekly  - keep the newest backup of each of this many recent weeks
+--   keepMonthly - keep the newest backup of each of this many recent months
+--   maxBytes    - prune the oldest backups kept by the other rules while the
+--                 total size of all backups is larger than this
+DROP TABLE IF EXISTS RetentionPolicy;
+CREATE TABLE RetentionPolicy (
+    dbName TEXT UNIQUE PRIMARY KEY,
+
+    keepLast INTEGER,
+    keepDaily INTEGER,
+    keepWeekly INTEGER,
+    keepMonthly INTEGER,
+    maxBytes INTEGER
 );
 
 
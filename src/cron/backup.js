@@ -0,0 +1,78 @@
+/******************************************************************************/
+
+
+import { dbSchedGetForCron } from '#db/schedule';
+
+import { createDump } from '#requests/backup/create';
+
+import { generateKey } from '#schema/backup';
+
+
+/******************************************************************************/
+
+
+/* Given the environment of the worker, return back the names of all of the
+ * bindings within it that appear to be D1 databases, other than the database
+ * that tracks the backups themselves. */
+const getBoundDatabases = env => Object.keys(env).filter(name =>
+  name !== 'sekurkopio' &&
+  typeof env[name]?.prepare === 'function' && typeof env[name]?.batch === 'function'
+);
+
+
+/******************************************************************************/
+
+
+/* Run all of the scheduled backups that are associated with the cron trigger
+ * with the given expression.
+ *
+ * Each configured database is backed up in turn using the same mechanism as a
+ * manual backup request, using a name generated from the current date and
+ * time. A failure to back up one database is logged but does not stop the
+ * others from being backed up.
+ *
+ * The return value is a list of objects that describe the backups that were
+ * attempted; each has the name of the database, and either the result of the
+ * backup or the error that caused it to fail. */
+export async function cronRunBackups(ctx, cron) {
+  const schedule = await dbSchedGetForCron(ctx.env.sekurkopio, cron);
+  console.log(`cron '${cron}' has ${schedule.length} scheduled backup(s)`);
+
+  // Expand the schedule out into the list of databases to back up; an entry
+  // can name all bound databases at once. A database that is named more than
+  // once with the same format is only backed up once, since every backup in
+  // the run gets the same name.
+  const expanded = schedule.flatMap(entry => entry.dbName === '*'
+    ? getBoundDatabases(ctx.env).map(dbName => ({ ...entry, dbName }))
+    : [entry]
+  );
+  const jobs = [...new Map(expanded.map(job => [`${job.dbName}/${job.format}`, job])).values()];
+
+  // All of the backups in this run share the same name.
+  const name = generateKey();
+
+  const results = [];
+  for (const { dbName, format } of jobs) {
+    const fromDb = ctx.env[dbName];
+    if (fromDb === undefined) {
+      console.log(`scheduled backup skipped; no such bound database '${dbName}'`);
+      results.push({ dbName, error: `no such bound database '${dbName}'` });
+      continue;
+    }
+
+    try {
+      const result = await createDump(ctx, fromDb, dbName, name, { format });
+      console.log(`scheduled backup of '${dbName}' created as '${result.name}'`);
+      results.push({ dbName, result });
+    }
+    catch (err) {
+      console.log(`scheduled backup of '${dbName}' failed: ${err.message}`);
+      results.push({ dbName, error: err.message });
+    }
+  }
+
+  return results;
+}
+
+
+/******************************************************************************/
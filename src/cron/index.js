@@ -0,0 +1,28 @@
+/******************************************************************************/
+
+
+import { cronRunBackups } from '#cron/backup';
+import { cronRunPrune } from '#cron/prune';
+
+
+/******************************************************************************/
+
+
+/* The handler for the scheduled event, which is triggered by the cron triggers
+ * that are configured in wrangler.toml. Any backups that are scheduled for the
+ * trigger are taken first, and then all backups are pruned according to their
+ * retention policies.
+ *
+ * Our storage helpers expect to be given a request context from which they can
+ * obtain the environment, so a minimal stand in for one is created here. */
+export async function scheduled(event, env, execCtx) {
+  const ctx = { env };
+
+  execCtx.waitUntil((async () => {
+    await cronRunBackups(ctx, event.cron);
+    await cronRunPrune(ctx);
+  })());
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,51 @@
+/******************************************************************************/
+
+
+import { dbRetGetList } from '#db/retention';
+import { dbBkpGetList } from '#db/backup';
+
+import { pruneBackups } from '#requests/backup/prune';
+
+
+/******************************************************************************/
+
+
+/* Prune the backups of every database that has a retention policy that applies
+ * to it; when there is a default policy, this is every database that has any
+ * backups.
+ *
+ * A failure to prune one database is logged but does not stop the others from
+ * being pruned.
+ *
+ * The return value is a list of objects that describe the prunes that were
+ * attempted; each has the name of the database, and either the result of the
+ * prune or the error that caused it to fail. */
+export async function cronRunPrune(ctx) {
+  const policies = await dbRetGetList(ctx.env.sekurkopio);
+
+  // Determine the databases to prune; the default policy covers every database
+  // that appears in the backup list.
+  const dbNames = new Set(policies.map(policy => policy.dbName));
+  if (dbNames.delete('*') === true) {
+    const backups = await dbBkpGetList(ctx.env.sekurkopio);
+    backups.forEach(backup => dbNames.add(backup.dbName));
+  }
+
+  const results = [];
+  for (const dbName of dbNames) {
+    try {
+      const result = await pruneBackups(ctx, dbName, false);
+      console.log(`scheduled prune of '${dbName}' removed ${result.pruned.length} backup(s)`);
+      results.push({ dbName, result });
+    }
+    catch (err) {
+      console.log(`scheduled prune of '${dbName}' failed: ${err.message}`);
+      results.push({ dbName, error: err.message });
+    }
+  }
+
+  return results;
+}
+
+
+/******************************************************************************/
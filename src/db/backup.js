@@ -1,7 +1,8 @@
 /******************************************************************************/
 
 
-import { getDBResult } from '#db/common';
+import { getDBResult, mapIntFieldsToBool, quoteIdentifier } from '#db/common';
+import { encodeValue, decodeValue, sqlValues } from '#values';
 
 
 /******************************************************************************/
@@ -29,12 +30,13 @@ import { getDBResult } from '#db/common';
  * which takes them directly from the SQL that was used to define the table. */
 export async function dbBkpGetTableList(db) {
   // Fetch from the DB the complete list of all non-SQLite and non-CF tables
-  // along with their indexes.
+  // along with their indexes; the underscores in the prefixes are escaped,
+  // since LIKE would otherwise take them to match any character.
   const rawLookup = await db.prepare(`
     SELECT type, name, tbl_name, sql FROM sqlite_master
      WHERE type in ('table', 'index')
-       AND name NOT LIKE "sqlite_%"
-       AND name NOT LIKE "_cf_%"
+       AND name NOT LIKE 'sqlite!_%' ESCAPE '!'
+       AND name NOT LIKE '!_cf!_%' ESCAPE '!'
      ORDER BY tbl_name ASC
   `).all();
 
@@ -75,6 +77,84 @@ export async function dbBkpGetTableList(db) {
 /******************************************************************************/
 
 
+/* Fetch from the database a list of all of the views and triggers that
+ * currently exist.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "views": [
+ *             {
+ *                 "type": "view",
+ *                 "name": "NameOfView",
+ *                 "sql": "-- View Definition SQL"
+ *             }
+ *         ],
+ *         "triggers": [
+ *             {
+ *                 "type": "trigger",
+ *                 "name": "NameOfTrigger",
+ *                 "table": "NameOfTable",
+ *                 "sql": "-- Trigger Definition SQL"
+ *             }
+ *         ]
+ *     }
+ *
+ * Each list is in the order that the objects were created in, since a view
+ * can be defined in terms of another view. */
+export async function dbBkpGetViewsAndTriggers(db) {
+  const rawLookup = await db.prepare(`
+    SELECT type, name, tbl_name AS "table", sql FROM sqlite_master
+     WHERE type in ('view', 'trigger')
+       AND name NOT LIKE 'sqlite!_%' ESCAPE '!'
+       AND name NOT LIKE '!_cf!_%' ESCAPE '!'
+     ORDER BY rowid ASC
+  `).all();
+
+  const rawData = getDBResult('dbBkpGetViewsAndTriggers', 'get_view_info', rawLookup);
+
+  // Views are their own table as far as SQLite is concerned, so the table name
+  // is redundant for them.
+  const views = rawData.filter(e => e.type === 'view');
+  views.forEach(view => delete view.table);
+
+  return { views, triggers: rawData.filter(e => e.type === 'trigger') };
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the current AUTOINCREMENT counters of all of the
+ * tables that have one, which SQLite keeps in the sqlite_sequence table. That
+ * table only exists once a table that uses AUTOINCREMENT has been created.
+ *
+ * The return value is an object whose keys are table names and whose values
+ * are the largest rowid that has ever been used in that table, encoded as by
+ * encodeValue() since it might not fit in a JavaScript number. */
+export async function dbBkpGetSequences(db) {
+  const existsLookup = await db.prepare(`
+    SELECT name FROM sqlite_master
+     WHERE type = 'table' AND name = 'sqlite_sequence'
+  `).all();
+  if (getDBResult('dbBkpGetSequences', 'find_sequence', existsLookup).length === 0) {
+    return {};
+  }
+
+  const lookup = await db.prepare(`
+    SELECT name, CAST(seq AS TEXT) AS seq FROM sqlite_sequence
+  `).all();
+
+  const rawData = getDBResult('dbBkpGetSequences', 'get_sequence', lookup);
+  return rawData.reduce((result, e) => {
+    result[e.name] = encodeValue('integer', e.seq);
+    return result;
+  }, {});
+}
+
+
+/******************************************************************************/
+
+
 /* Given a list of tables of the form returned by dbBkpGetTableList(), make a
  * clone of the incoming value, fetch the list of column names and foreign key
  * constraints for each table, and add them to the appropriate table in the
@@ -85,6 +165,17 @@ export async function dbBkpGetTableList(db) {
  *
  *     "columns": ["column1", "column2"]
  *
+ * The columns that make up the primary key of the table (if any) are added in
+ * the same form, in the order they appear in the key, along with an indication
+ * of whether or not the table is a WITHOUT ROWID table:
+ *
+ *     "primaryKey": ["column1"],
+ *     "withoutRowid": false
+ *
+ * The columns that are declared as NOT NULL are also added, in the same form:
+ *
+ *     "notNull": ["column1"]
+ *
  * Foreign keys are defined as an array of objects which indicate what table the
  * foreign key is in, and which column each side of the relation is:
  *
@@ -125,7 +216,7 @@ async function dbBkpPopulateTableDetails(db, inputTableList) {
 
   // Prepare queries to fetch the columns for a table and the list of foreign
   // key constraints.
-  const columnsStmt = db.prepare(`SELECT name FROM pragma_table_info(?1)`);
+  const columnsStmt = db.prepare(`SELECT name, pk, "notnull" FROM pragma_table_info(?1)`);
   const foreignKeyStmt = db.prepare(`SELECT "table", "from", "to" FROM pragma_foreign_key_list(?1)`);
 
   // The table names for foreign keys come from the SQL that defined them, which
@@ -164,6 +255,9 @@ async function dbBkpPopulateTableDetails(db, inputTableList) {
     // table list, since SQLite reports constrained table names with the case of
     // the table used in the key definition.
     tableList[table].columns = columns.map(e => e.name);
+    tableList[table].primaryKey = columns.filter(e => e.pk !== 0).sort((a, b) => a.pk - b.pk).map(e => e.name);
+    tableList[table].notNull = columns.filter(e => e.notnull !== 0).map(e => e.name);
+    tableList[table].withoutRowid = /\bWITHOUT\s+ROWID\b/i.test(tableList[table].sql);
     tableList[table].constraints = constraints.map(e => {
       // Look up a case normalized version of the name; if it's not what was
       // specified, patch the entry and generate a warning.
@@ -203,45 +297,125 @@ async function dbBkpPopulateTableDetails(db, inputTableList) {
 
 /* This function takes as input an object whose keys are the names of tables in
  * the database and whose values represent the details of those tables, and uses
- * the information provided to update the provided output load order such that
- * it contains the order in which the tables should be inserted into the DB to
- * not cause any constraint violations.
+ * the information provided to determine the order in which the tables should be
+ * inserted into the DB to not cause any constraint violations.
+ *
+ * Tables can refer to themselves, or to each other in a cycle, in which case no
+ * such order exists. To handle this, the tables are grouped into strongly
+ * connected components using Tarjan's algorithm; each component is either a
+ * single table, or a group of tables that are all part of a cycle of foreign
+ * key references. The search completes a component only after every component
+ * it depends on has been completed, so adding each component to the load order
+ * as it completes puts every table after the tables it depends on, except for
+ * those in the same cycle.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "loadOrder": ["Table1", "Table2", "Table3"],
+ *         "cycles": [
+ *             ["Table2", "Table3"]
+ *         ]
+ *     }
  *
- * The function calls itself recursively in a depth first search in order to
- * root the load order in the left nodes that have no constraints, before
- * considering the tables that rely on those constraints.
+ * Each entry in cycles is a list of tables that are a part of the same cycle;
+ * a table that refers only to itself is a cycle of one table. The tables in a
+ * cycle always appear next to each other in the load order.
  *
  * Note that the resulting insertion order is not guaranteed to be optimal, just
  * one that will not violate constraints by ensuring that all tables that any
  * particular table depends on is inserted first. */
-function getTableLoadOrder(node, outLoadOrder=undefined, depth=0) {
-  outLoadOrder ??= [];
-
-  // Handle every value within the node we were given
-  for (const table of Object.values(node)) {
-    // Our constraints table is an object similar to this node; recursively call
-    // back into ourselves with that list.
-    getTableLoadOrder(table.dependencies, outLoadOrder, depth + 1);
-
-    // If we have not already been visited as a part of this search, add ourselves
-    // to the end of the load order and mark this as a visit.
-    //
-    // We might appear several times in the traversal, but we only need to
-    // record ourselves once.
-    if (table.visited !== true) {
-      table.visited = true;
-      outLoadOrder.push(table.name);
+function getTableLoadOrder(tableList) {
+  const loadOrder = [];
+  const cycles = [];
+
+  // The search state for each visited table, and the stack of tables whose
+  // component has not been completed yet.
+  const state = new Map();
+  const stack = [];
+
+  const visit = table => {
+    const entry = { index: state.size, lowLink: state.size, onStack: true };
+    state.set(table, entry);
+    stack.push(table);
+
+    // Visit all of our dependencies; the low link tracks the earliest table on
+    // the stack that we can reach, which is how cycles are detected.
+    for (const dependency of Object.values(table.dependencies)) {
+      const seen = state.get(dependency);
+      if (seen === undefined) {
+        visit(dependency);
+        entry.lowLink = Math.min(entry.lowLink, state.get(dependency).lowLink);
+      } else if (seen.onStack === true) {
+        entry.lowLink = Math.min(entry.lowLink, seen.index);
+      }
+    }
+
+    // If we can't reach any table visited before us, then we are the root of
+    // a component, which consists of us and everything above us on the stack.
+    if (entry.lowLink === entry.index) {
+      const component = stack.splice(stack.indexOf(table));
+      component.forEach(member => state.get(member).onStack = false);
+
+      const names = component.map(member => member.name);
+      loadOrder.push(...names);
+      if (names.length > 1 || table.dependencies[table.name] !== undefined) {
+        cycles.push(names);
+      }
+    }
+  };
+
+  for (const table of Object.values(tableList)) {
+    if (state.has(table) === false) {
+      visit(table);
     }
   }
 
-  // If we're about to return back from the outer call, trim the node to remove
-  // the flags we placed there; this can't happen during the traversal since we
-  // need to know when we've visited everything.
-  if (depth === 0) {
-    Object.values(node).forEach(table => delete table.visited);
+  return { loadOrder, cycles };
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the list of all of the tables that currently exist,
+ * in the form returned by dbBkpGetTableList(), with the columns and foreign key
+ * constraints of each table populated as in dbBkpPopulateTableDetails().
+ *
+ * The dependencies of each table are not included. */
+export async function dbBkpGetTableDetails(db) {
+  const tables = await dbBkpPopulateTableDetails(db, await dbBkpGetTableList(db));
+  Object.values(tables).forEach(table => delete table.dependencies);
+
+  return tables;
+}
+
+
+/******************************************************************************/
+
+
+/* The names that SQLite accepts for the rowid of a table; a column of the
+ * table can take any of them for itself, leaving only the others to refer to
+ * the rowid. */
+const ROWID_NAMES = ['rowid', '_rowid_', 'oid'];
+
+
+/******************************************************************************/
+
+
+/* Given a single tableInfo record from one of the key values returned by
+ * dbBkpGetTableList() with its details populated, return back the name that
+ * refers to the rowid of the table.
+ *
+ * If the table has columns with every one of the names in ROWID_NAMES, there is
+ * no way to refer to its rowid and null is returned; the same is true for a
+ * WITHOUT ROWID table, which does not have one. */
+export function dbBkpGetRowidName(tableInfo) {
+  if (tableInfo.withoutRowid === true) {
+    return null;
   }
 
-  return outLoadOrder;
+  const columns = new Set(tableInfo.columns.map(column => column.toUpperCase()));
+  return ROWID_NAMES.find(name => columns.has(name.toUpperCase()) === false) ?? null;
 }
 
 
@@ -249,27 +423,84 @@ function getTableLoadOrder(node, outLoadOrder=undefined, depth=0) {
 
 
 /* Given a single tableInfo record from one of the key values returned by
- * dbBkpGetTableList(), gather all of the data from that table and return it
- * back.
+ * dbBkpGetTableList() with its details populated, gather one page of the data
+ * from that table and return it back.
  *
- * The returned data is in the form of an array of array of values, where each
- * sub-array has all of the values of the columns of the table, in order.
+ * Pages are gathered using keyset pagination, so that each page is a cheap
+ * query regardless of how far into the table it is. The key is the rowid of
+ * the table as named by dbBkpGetRowidName(), or the primary key for a WITHOUT
+ * ROWID table; a table whose rowid can't be named can't be paged through, and
+ * an error is thrown for it. after is the key of the last row of the previous
+ * page, or null to get the first page, and limit is the maximum number of rows
+ * to return. When until is given, only rows up to and including that key are
+ * returned, so that a range of keys can be read.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "rows": [ [ ... ], [ ... ] ],
+ *         "next": [ key values ],
+ *         "last": [ key values ]
+ *     }
+ *
+ * The rows are an array of array of values, where each sub-array has all of
+ * the values of the columns of the table, in order. The values are encoded by
+ * encodeValue() so that they survive being stored as JSON without any loss.
+ * next is the value to pass as after to get the next page (in the same encoded
+ * form), or null if this was the last page. last is the key of the last row in
+ * the page whether or not there are more, or null if the page is empty.
  *
  * Note that this uses a raw() request for speed and space savings, but such a
  * request does not return metadata like standard D1 queries; in order to log
  * a semi-consistent return, this generates fake meta info so that details can
  * be logged in a consistent manner. */
-export async function dbBkpGetTableContents(db, tableInfo) {
-  // Generate a query that will return back all of the data for the given table;
-  // this will query only the non-generated columns as defined in the table
-  // definition, and they are also queried in that specific order.
+export async function dbBkpGetTableContents(db, tableInfo, after, limit, until) {
+  // The key columns are selected before the data columns, so that the key of
+  // each row is available to use as the start of the next page.
+  const rowid = dbBkpGetRowidName(tableInfo);
+  if (tableInfo.withoutRowid !== true && rowid === null) {
+    throw new Error(`table '${tableInfo.name}' has columns that hide its rowid; its data can't be read`);
+  }
+
+  const keyColumns = tableInfo.withoutRowid ? tableInfo.primaryKey.map(quoteIdentifier) : [rowid];
+  const keyList = keyColumns.join(', ');
+
+  // The keys that bound the page are in the same encoded form as the data, and
+  // are bound as numbered parameters.
+  const bindings = [];
+  const bindKey = key => key.map(decodeValue).map(value => {
+    bindings.push(value.binding);
+    return value.placeholder.replace('?', `?${bindings.length}`);
+  }).join(', ');
+
+  const bounds = [];
+  if (after !== null) {
+    bounds.push(`(${keyList}) > (${bindKey(after)})`);
+  }
+  if ((until ?? null) !== null) {
+    bounds.push(`(${keyList}) <= (${bindKey(until)})`);
+  }
+  const where = (bounds.length !== 0) ? `WHERE ${bounds.join(' AND ')}` : '';
+  bindings.push(limit);
+
+  // Every column is selected as its storage class followed by its value, with
+  // INTEGER values as text so that they don't lose any precision.
+  const selectList = [...keyColumns, ...tableInfo.columns.map(quoteIdentifier)].map(column =>
+    `typeof(${column}), CASE typeof(${column}) WHEN 'integer' THEN CAST(${column} AS TEXT) ELSE ${column} END`
+  ).join(', ');
+
+  // Generate a query that will return back a page of the data for the given
+  // table; this will query only the non-generated columns as defined in the
+  // table definition, and they are also queried in that specific order.
   const results = await db.prepare(`
-    SELECT ${tableInfo.columns.join(', ')} FROM ${tableInfo.name};
-  `).raw();
+    SELECT ${selectList} FROM ${quoteIdentifier(tableInfo.name)}
+     ${where}
+     ORDER BY ${keyList}
+     LIMIT ?${bindings.length};
+  `).bind(...bindings).raw();
 
   // The raw request does not return meta information back, so we need to gin up
   // our own.
-  return getDBResult('dbBkpGetTableContents', 'get_tbl_data', {
+  const rows = getDBResult('dbBkpGetTableContents', 'get_tbl_data', {
     success: 1,
     meta: {
       last_row_id: 0,
@@ -279,6 +510,51 @@ export async function dbBkpGetTableContents(db, tableInfo) {
     },
     results
   });
+
+  // Encode the values using the storage classes that were queried alongside
+  // them, and then split the key columns back off of the rows.
+  const encoded = rows.map(row => row.filter((_, i) => i % 2 === 0).map((type, i) => encodeValue(type, row[i * 2 + 1])));
+  const last = (encoded.length !== 0) ? encoded[encoded.length - 1].slice(0, keyColumns.length) : null;
+  return {
+    rows: encoded.map(row => row.slice(keyColumns.length)),
+    next: (encoded.length === limit) ? last : null,
+    last
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a single tableInfo record from one of the key values returned by
+ * dbBkpGetTableList() with its details populated, a list of rows of data for
+ * that table as returned by dbBkpGetTableContents() and the largest number of
+ * parameters that a statement can have, return back an object of the form:
+ *     {
+ *         "sql": "INSERT INTO ...",
+ *         "bindings": [ ... ]
+ *     }
+ *
+ * This is a single INSERT statement that puts all of the rows into the table,
+ * along with the values to bind to its parameters. The values are as returned
+ * by sqlValues(), so the rows that are inserted have exactly the values that
+ * were read; when there are more values than parameters, some of them are in
+ * the SQL itself.
+ *
+ * The SQL for the values depends on their storage classes, so two statements
+ * with the same number of rows do not always have the same SQL. */
+export function dbBkpGetInsertStatement(tableInfo, rows, maxBindings) {
+  const { sql, bindings } = sqlValues(rows.flat(), maxBindings);
+  const columnCount = tableInfo.columns.length;
+  const tuples = rows.map((_, i) => `(${sql.slice(i * columnCount, (i + 1) * columnCount).join(', ')})`);
+
+  return {
+    sql: `
+    INSERT INTO ${quoteIdentifier(tableInfo.name)}
+             (${tableInfo.columns.map(quoteIdentifier).join(', ')})
+      VALUES ${tuples.join(', ')}`,
+    bindings
+  };
 }
 
 
@@ -289,11 +565,13 @@ export async function dbBkpGetTableContents(db, tableInfo) {
  *   1. All of the tables that are not SQLite system tables of CF Special Tables
  *   2. All indexes and foreign key constraints on each of those tables
  *   3. The DDL for each table and index
- *   4. The full data for each table found
+ *   4. The DDL for all views and triggers
+ *   5. The full data for each table found
  *
  * Return back a JSON object of the form:
  *     {
  *         "loadOrder": ["Table1", "Table2"],
+ *         "cycles": [ ... ],
  *         "tables": {
  *             "NameOfTable": {
  *                 "type": "table",
@@ -307,6 +585,10 @@ export async function dbBkpGetTableContents(db, tableInfo) {
  *                     }
  *                 ],
  *                 "columns": ["column1", "column2"],
+ *                 "primaryKey": ["column1"],
+ *                 "notNull": ["column1"],
+ *                 "sequence": 1234,
+ *                 "withoutRowid": false,
  *                 "constraints": [
  *                     {
  *                         "table": "ForeignTableName",
@@ -320,7 +602,9 @@ export async function dbBkpGetTableContents(db, tableInfo) {
  *                 ]
  *             }
  *             "Table2": { ... }
- *         }
+ *         },
+ *         "views": [ ... ],
+ *         "triggers": [ ... ]
  *     }
  *
  * Each entry in the "tables" key represents a table and all of the information
@@ -328,6 +612,19 @@ export async function dbBkpGetTableContents(db, tableInfo) {
  * to a blank database in order to not encounter any constraint violations on
  * foreign key constraints.
  *
+ * Tables that use AUTOINCREMENT have a "sequence" key that records the value
+ * of their counter in sqlite_sequence, as returned by dbBkpGetSequences(); the
+ * key is not present for other tables.
+ *
+ * The "cycles" key lists the groups of tables whose foreign keys refer to each
+ * other (or to themselves) in a cycle, as returned by getTableLoadOrder(); the
+ * data in such tables can't be inserted purely in load order, and needs special
+ * handling during a restore.
+ *
+ * The "views" and "triggers" keys are as returned by dbBkpGetViewsAndTriggers()
+ * and describe the views and triggers in the database; these should be created
+ * only after all of the tables and their data are in place.
+ *
  * Note that the load order does not guarantee that all tables with no
  * constraints appear first, only that the order will not cause any violations
  * on insert. */
@@ -340,81 +637,203 @@ export async function dbBkpGenerateMetaInfo(db) {
 
   // Determine the proper order in which the tables need to be loaded into the
   // database in order for us to not violate any constraints on the data.
-  const loadOrder = getTableLoadOrder(tables);
+  const { loadOrder, cycles } = getTableLoadOrder(tables);
+  cycles.forEach(cycle => console.log(`foreign key cycle between tables: ${cycle.join(', ')}`));
 
   // For each table, remove the dependencies since we no longer need them.
   Object.values(tables).forEach(table => delete table.dependencies);
 
-  return { loadOrder, tables };
+  // Record the AUTOINCREMENT counter of each table that has one, so that a
+  // restore does not hand out IDs that were used before. As with foreign keys,
+  // the names may not have the same case as the table name we know.
+  const sequences = await dbBkpGetSequences(db);
+  const tableNameMap = Object.keys(tables).reduce((result, name) => {
+    result[name.toUpperCase()] = name;
+    return result;
+  }, {});
+  Object.entries(sequences).forEach(([name, seq]) => {
+    const tableName = tableNameMap[name.toUpperCase()];
+    if (tableName !== undefined) {
+      tables[tableName].sequence = seq;
+    }
+  });
+
+  // Capture the views and triggers as well.
+  const { views, triggers } = await dbBkpGetViewsAndTriggers(db);
+
+  return { loadOrder, cycles, tables, views, triggers };
 }
 
 
 /******************************************************************************/
 
 
-/* Fetch from the database a complete list of all of the known backups.
+/* Fetch from the database a complete list of all of the known backups, or only
+ * those of a specific database if a database name is provided.
  *
  * The return value is a (potentially empty) list of objects that indicate what
- * database the backup is for and what the backup name is.
+ * database the backup is for, what the backup name is, when it was created,
+ * how large it is, whether or not it is pinned and, for incremental backups,
+ * the name of the backup that it is based on. Backups are returned newest
+ * first.
  *
  * Backup names will have a `.tar` or `.tgz` extension if they're tar backups;
  * otherwise they are regular directory based file backups. */
-export async function dbBkpGetList(db) {
+export async function dbBkpGetList(db, dbName) {
   // Grab the list of backups from the database.
   const lookup = await db.prepare(`
-    SELECT id, dbName, backupName from BackupList
-  `).all();
+    SELECT id, dbName, backupName, createdAt, size, isPinned, baseName
+      FROM BackupList
+     WHERE ?1 IS NULL OR dbName = ?1
+     ORDER BY createdAt DESC, id DESC
+  `).bind(dbName ?? null).all();
 
   // Pull the data out of the query and return it
-  return getDBResult('dbBkpGetList', 'get_backup_list', lookup);
+  const result = getDBResult('dbBkpGetList', 'get_backup_list', lookup);
+  return result.map(mapIntFieldsToBool);
 }
 
 
 /******************************************************************************/
 
 
-/* Insert a record for a newly created backup into the tracking database.
+/* Fetch from the database the record for the backup with the given name that
+ * was made from the given database.
+ *
+ * The return value is an object of the same form as the entries returned by
+ * dbBkpGetList(), or null if there is no such backup. */
+export async function dbBkpFind(db, fromDatabase, name) {
+  const lookup = await db.prepare(`
+    SELECT id, dbName, backupName, createdAt, size, isPinned, baseName
+      FROM BackupList
+     WHERE dbName = ?1 AND backupName = ?2
+  `).bind(fromDatabase, name).all();
+
+  const result = getDBResult('dbBkpFind', 'find_backup', lookup);
+  return result.length !== 0 ? mapIntFieldsToBool(result[0]) : null;
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the record for the backup with the given ID.
+ *
+ * The return value is an object of the same form as the entries returned by
+ * dbBkpGetList(), or null if there is no such backup. */
+export async function dbBkpGetById(db, id) {
+  const lookup = await db.prepare(`
+    SELECT id, dbName, backupName, createdAt, size, isPinned, baseName
+      FROM BackupList
+     WHERE id = ?1
+  `).bind(id).all();
+
+  const result = getDBResult('dbBkpGetById', 'get_backup', lookup);
+  return result.length !== 0 ? mapIntFieldsToBool(result[0]) : null;
+}
+
+
+/******************************************************************************/
+
+
+/* Insert a record for a newly created backup into the tracking database,
+ * recording the total size in bytes of the objects that make up the backup and,
+ * for an incremental backup, the name of the backup that it is based on.
  *
  * This will create a new record tracking that a backup with the given name
  * was created/updated for the provided database.
  *
  * The record for the backup is returned back; if a backup by this name for this
- * database already existed, then the existing record will be returned back
- * instead of doing an insertion, since any such operation would overwrite all
- * of the files for that backup anyway. */
-export async function dbBkpInsert(db, fromDatabase, name) {
+ * database already existed, then the existing record will be updated with the
+ * new size and creation time and returned back instead of doing an insertion,
+ * since any such operation would overwrite all of the files for that backup
+ * anyway. */
+export async function dbBkpInsert(db, fromDatabase, name, size, baseName) {
+  size ??= 0;
+  baseName ??= null;
+
   // Check to see if there is an existing backup with this name already exists.
-  const existingQuery = await db.prepare(`
-    SELECT id, dbName, backupName
-      FROM BackupList
-     WHERE dbName = ?1 AND backupName = ?2
-  `).bind(fromDatabase, name).all();
-  const existing = getDBResult('dbBkpInsert', 'check_existing', existingQuery);
+  const existing = await dbBkpFind(db, fromDatabase, name);
 
-  // If there is a record of this in the database, we don't need to do anything
-  // and can just go ahead and return the value directly.
-  if (existing.length !== 0) {
+  // If there is a record of this in the database, we only need to update the
+  // details of it.
+  if (existing !== null) {
     console.log(`insert of new backup for ${fromDatabase}:${name} overwrote an existing backup`);
-    return existing[0];
+    const update = await db.prepare(`
+      UPDATE BackupList
+         SET size = ?2, baseName = ?3, createdAt = CURRENT_TIMESTAMP
+       WHERE id = ?1
+    `).bind(existing.id, size, baseName).all();
+    getDBResult('dbBkpInsert', 'update_backup', update);
+
+    return await dbBkpFind(db, fromDatabase, name);
   }
 
   // There is no such record, so insert a new one into the database.
   const result = await db.prepare(`
     INSERT INTO BackupList
-      (dbName, backupName)
-    VALUES (?1, ?2);
-  `).bind(fromDatabase, name).all();
+      (dbName, backupName, size, baseName)
+    VALUES (?1, ?2, ?3, ?4);
+  `).bind(fromDatabase, name, size, baseName).all();
 
   // Display the results of the creation
   getDBResult('dbBkpInsert', 'insert_backup', result);
 
-  // Return the new record back; all data here is known except for the ID, which
-  // comes from the insert.
-  return {
-    id: result.meta.last_row_id,
-    dbName: fromDatabase,
-    backupName: name
-  }
+  // Return the new record back.
+  return await dbBkpFind(db, fromDatabase, name);
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the records for all of the incremental backups that
+ * are based directly on the backup with the given name that was made from the
+ * given database.
+ *
+ * The return value is a (potentially empty) list of objects of the same form
+ * as the entries returned by dbBkpGetList(). */
+export async function dbBkpGetDependents(db, fromDatabase, name) {
+  const lookup = await db.prepare(`
+    SELECT id, dbName, backupName, createdAt, size, isPinned, baseName
+      FROM BackupList
+     WHERE dbName = ?1 AND baseName = ?2
+     ORDER BY createdAt DESC, id DESC
+  `).bind(fromDatabase, name).all();
+
+  const result = getDBResult('dbBkpGetDependents', 'get_dependents', lookup);
+  return result.map(mapIntFieldsToBool);
+}
+
+
+/******************************************************************************/
+
+
+/* Set the pinned state of the backup with the given ID; pinned backups are
+ * never removed when pruning. */
+export async function dbBkpSetPinned(db, id, isPinned) {
+  const result = await db.prepare(`
+    UPDATE BackupList
+       SET isPinned = ?2
+     WHERE id = ?1
+  `).bind(id, isPinned ? 1 : 0).all();
+
+  getDBResult('dbBkpSetPinned', 'set_pinned', result);
+}
+
+
+/******************************************************************************/
+
+
+/* Remove the tracking record for the backup with the given ID; this does not
+ * touch any of the objects in the bucket that make up the backup. */
+export async function dbBkpDelete(db, id) {
+  const result = await db.prepare(`
+    DELETE FROM BackupList
+     WHERE id = ?1
+  `).bind(id).all();
+
+  getDBResult('dbBkpDelete', 'delete_backup', result);
 }
 
 
@@ -40,6 +40,15 @@ export const mapBoolFieldsToInt = inputObj => {
 /******************************************************************************/
 
 
+/* Given the name of a table, column or other database object, return back a
+ * version of it that is quoted so that it can be safely used as an identifier
+ * in SQL, whatever characters it contains and even if it is a keyword. */
+export const quoteIdentifier = name => `"${name.replace(/"/g, '""')}"`;
+
+
+/******************************************************************************/
+
+
 /* Given some information on where and what database action is taken, what the
  * result was, and whether or not it is a batch, display a log that displays
  * details of the operation. */
@@ -0,0 +1,93 @@
+/******************************************************************************/
+
+
+import { getDBResult } from '#db/common';
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the complete list of all retention policies.
+ *
+ * The return value is a (potentially empty) list of objects that indicate the
+ * database the policy is for and the values of each of the retention rules;
+ * rules that are not in use are null. */
+export async function dbRetGetList(db) {
+  const lookup = await db.prepare(`
+    SELECT dbName, keepLast, keepDaily, keepWeekly, keepMonthly, maxBytes
+      FROM RetentionPolicy
+     ORDER BY dbName ASC
+  `).all();
+
+  return getDBResult('dbRetGetList', 'get_policy_list', lookup);
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the retention policy that applies to the database
+ * with the given name; this is the policy for that specific database if there
+ * is one, or the default policy (with a dbName of '*') if not.
+ *
+ * The return value is an object of the same form as the entries returned by
+ * dbRetGetList(), or null if no policy applies. */
+export async function dbRetGetPolicy(db, dbName) {
+  const lookup = await db.prepare(`
+    SELECT dbName, keepLast, keepDaily, keepWeekly, keepMonthly, maxBytes
+      FROM RetentionPolicy
+     WHERE dbName = ?1 OR dbName = '*'
+     ORDER BY dbName = '*' ASC
+     LIMIT 1
+  `).bind(dbName).all();
+
+  const result = getDBResult('dbRetGetPolicy', 'get_policy', lookup);
+  return result.length !== 0 ? result[0] : null;
+}
+
+
+/******************************************************************************/
+
+
+/* Insert or update the retention policy for the database named in the provided
+ * policy object, which is of the same form as the entries returned by
+ * dbRetGetList().
+ *
+ * The stored policy is returned back. */
+export async function dbRetSetPolicy(db, policy) {
+  const { dbName, keepLast, keepDaily, keepWeekly, keepMonthly, maxBytes } = policy;
+
+  const result = await db.prepare(`
+    INSERT INTO RetentionPolicy
+      (dbName, keepLast, keepDaily, keepWeekly, keepMonthly, maxBytes)
+    VALUES (?1, ?2, ?3, ?4, ?5, ?6)
+    ON CONFLICT (dbName) DO UPDATE
+       SET keepLast = excluded.keepLast,
+           keepDaily = excluded.keepDaily,
+           keepWeekly = excluded.keepWeekly,
+           keepMonthly = excluded.keepMonthly,
+           maxBytes = excluded.maxBytes
+  `).bind(dbName, keepLast, keepDaily, keepWeekly, keepMonthly, maxBytes).all();
+
+  getDBResult('dbRetSetPolicy', 'set_policy', result);
+  return { dbName, keepLast, keepDaily, keepWeekly, keepMonthly, maxBytes };
+}
+
+
+/******************************************************************************/
+
+
+/* Remove the retention policy for the database with the given name, if any;
+ * backups of that database will fall back to the default policy, if there is
+ * one. */
+export async function dbRetDeletePolicy(db, dbName) {
+  const result = await db.prepare(`
+    DELETE FROM RetentionPolicy
+     WHERE dbName = ?1
+  `).bind(dbName).all();
+
+  getDBResult('dbRetDeletePolicy', 'delete_policy', result);
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,28 @@
+/******************************************************************************/
+
+
+import { getDBResult } from '#db/common';
+
+
+/******************************************************************************/
+
+
+/* Fetch from the database the list of all of the scheduled backups that should
+ * be taken when the cron trigger with the given expression fires.
+ *
+ * The return value is a (potentially empty) list of objects that indicate what
+ * database should be backed up and in what format. A dbName of '*' indicates
+ * that every bound database should be backed up, other than the one that
+ * tracks the backups. */
+export async function dbSchedGetForCron(db, cron) {
+  const lookup = await db.prepare(`
+    SELECT id, dbName, cron, format
+      FROM BackupSchedule
+     WHERE cron = ?1
+  `).bind(cron).all();
+
+  return getDBResult('dbSchedGetForCron', 'get_schedule', lookup);
+}
+
+
+/******************************************************************************/
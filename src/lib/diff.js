@@ -0,0 +1,155 @@
+/******************************************************************************/
+
+
+/* Given a list of values and a second list, return back the values from the
+ * first list that are not in the second; values are compared by their JSON
+ * encoding, so this works for lists of objects as well. */
+function missingFrom(list, other) {
+  const present = new Set(other.map(value => JSON.stringify(value)));
+  return list.filter(value => present.has(JSON.stringify(value)) === false);
+}
+
+
+/******************************************************************************/
+
+
+/* Given two lists of named objects that have SQL that defines them, such as
+ * indexes, views or triggers, compare them by name and return back an object
+ * of the form:
+ *     {
+ *         "added": ["Name1"],
+ *         "removed": ["Name2"],
+ *         "changed": [
+ *             { "name": "Name3", "from": "-- old SQL", "to": "-- new SQL" }
+ *         ]
+ *     }
+ *
+ * Like all names in SQLite, the names are not case sensitive. */
+function diffDefinitions(fromList, toList) {
+  const fromMap = new Map((fromList ?? []).map(entry => [entry.name.toUpperCase(), entry]));
+  const toMap = new Map((toList ?? []).map(entry => [entry.name.toUpperCase(), entry]));
+
+  const result = { added: [], removed: [], changed: [] };
+  for (const [key, entry] of toMap) {
+    const previous = fromMap.get(key);
+    if (previous === undefined) {
+      result.added.push(entry.name);
+    } else if (previous.sql !== entry.sql) {
+      result.changed.push({ name: entry.name, from: previous.sql, to: entry.sql });
+    }
+  }
+  for (const [key, entry] of fromMap) {
+    if (toMap.has(key) === false) {
+      result.removed.push(entry.name);
+    }
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the entries for the same table from the metadata of two backups,
+ * compare the structure of the table and return back an object that describes
+ * how it changed, or null if it did not change at all.
+ *
+ * The result has the name of the table and some of these keys:
+ *   - sql: the old and new SQL that defines the table, if it changed
+ *   - columns: the columns that were added and removed
+ *   - primaryKey: the old and new primary key columns, if they changed
+ *   - indexes: as returned by diffDefinitions(), if any changed
+ *   - constraints: the foreign key constraints that were added and removed */
+function diffTable(fromTable, toTable) {
+  const result = { name: toTable.name };
+
+  if (fromTable.sql !== toTable.sql) {
+    result.sql = { from: fromTable.sql, to: toTable.sql };
+  }
+
+  const columns = {
+    added: missingFrom(toTable.columns, fromTable.columns),
+    removed: missingFrom(fromTable.columns, toTable.columns),
+  };
+  if (columns.added.length !== 0 || columns.removed.length !== 0) {
+    result.columns = columns;
+  }
+
+  const fromKey = fromTable.primaryKey ?? [];
+  const toKey = toTable.primaryKey ?? [];
+  if (JSON.stringify(fromKey) !== JSON.stringify(toKey)) {
+    result.primaryKey = { from: fromKey, to: toKey };
+  }
+
+  const indexes = diffDefinitions(fromTable.indexes, toTable.indexes);
+  if (indexes.added.length !== 0 || indexes.removed.length !== 0 || indexes.changed.length !== 0) {
+    result.indexes = indexes;
+  }
+
+  const constraints = {
+    added: missingFrom(toTable.constraints ?? [], fromTable.constraints ?? []),
+    removed: missingFrom(fromTable.constraints ?? [], toTable.constraints ?? []),
+  };
+  if (constraints.added.length !== 0 || constraints.removed.length !== 0) {
+    result.constraints = constraints;
+  }
+
+  return Object.keys(result).length > 1 ? result : null;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the metadata of two backups, of the form returned by
+ * dbBkpGenerateMetaInfo(), compare the structure of the databases that they
+ * describe and return back an object of the form:
+ *     {
+ *         "tables": {
+ *             "added": ["Table1"],
+ *             "removed": ["Table2"],
+ *             "changed": [ { as returned by diffTable() } ]
+ *         },
+ *         "views": { as returned by diffDefinitions() },
+ *         "triggers": { as returned by diffDefinitions() },
+ *         "common": [
+ *             { "from": { table entry }, "to": { table entry } }
+ *         ]
+ *     }
+ *
+ * The common key lists every table that is in both backups, in the load order
+ * of the newer one, so that their data can be compared. Tables are matched by
+ * name without regard to case, the same as SQLite does. */
+export function diffMetadata(fromMeta, toMeta) {
+  const fromTables = new Map(fromMeta.loadOrder.map(name => [name.toUpperCase(), fromMeta.tables[name]]));
+  const toUpper = new Set(toMeta.loadOrder.map(name => name.toUpperCase()));
+
+  const tables = { added: [], removed: [], changed: [] };
+  const common = [];
+  for (const name of toMeta.loadOrder) {
+    const fromTable = fromTables.get(name.toUpperCase());
+    const toTable = toMeta.tables[name];
+    if (fromTable === undefined) {
+      tables.added.push(name);
+      continue;
+    }
+
+    const changes = diffTable(fromTable, toTable);
+    if (changes !== null) {
+      tables.changed.push(changes);
+    }
+    common.push({ from: fromTable, to: toTable });
+  }
+  tables.removed = fromMeta.loadOrder.filter(name => toUpper.has(name.toUpperCase()) === false);
+
+  return {
+    tables,
+    views: diffDefinitions(fromMeta.views, toMeta.views),
+    triggers: diffDefinitions(fromMeta.triggers, toMeta.triggers),
+    common,
+  };
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,24 @@
+/******************************************************************************/
+
+
+/* A text encoder used to turn string data into bytes for hashing. */
+const encoder = new TextEncoder();
+
+
+/******************************************************************************/
+
+
+/* Given some data as either a string or a Uint8Array, calculate the SHA-256
+ * digest of it and return it back as a lowercase hex string.
+ *
+ * Strings are hashed as their UTF-8 encoding, which is how they are stored in
+ * the bucket. */
+export async function sha256(data) {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+
+/******************************************************************************/
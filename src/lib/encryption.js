@@ -0,0 +1,229 @@
+/******************************************************************************/
+
+
+/* Objects are encrypted as a series of segments, each of which holds at most
+ * this many bytes of plaintext and is encrypted on its own with AES-GCM, so
+ * that objects of any size can be encrypted and decrypted as they stream
+ * rather than needing to be held in memory all at once. Every segment carries
+ * an authentication tag of TAG_SIZE bytes. */
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_SIZE = 16;
+const IV_SIZE = 12;
+
+/* The name that is recorded in the custom metadata of an object to indicate
+ * that it has been encrypted with this scheme. */
+const ENCRYPTION_SCHEME = 'AES-GCM';
+
+/* Imported keys, keyed by the ID and material of the key, so that each key is
+ * only imported once. */
+const keyCache = new Map();
+
+
+/******************************************************************************/
+
+
+/* Given a string of base64 text, return back a Uint8Array of its bytes. */
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/* Given a Uint8Array of bytes, return back a string of base64 text. */
+const toBase64 = bytes => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+
+
+/******************************************************************************/
+
+
+/* Given two Uint8Arrays, return back a new Uint8Array that contains the bytes
+ * of the first, followed by the bytes of the second. */
+function concatBytes(first, second) {
+  const result = new Uint8Array(first.length + second.length);
+  result.set(first);
+  result.set(second, first.length);
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the environment of the worker and a key ID, return back the CryptoKey
+ * for that key.
+ *
+ * Keys are configured in the ENCRYPTION_KEYS secret, which is a JSON object
+ * whose keys are key IDs and whose values are the base64 encoded raw bytes of
+ * an AES key. Keys that are no longer used to encrypt objects must remain in
+ * the secret for as long as there are objects that were encrypted with them.
+ *
+ * If there is no such key, an error is thrown. */
+async function importKey(env, keyId) {
+  const material = JSON.parse(env.ENCRYPTION_KEYS ?? '{}')[keyId];
+  if (material === undefined) {
+    throw new Error(`encryption key '${keyId}' is not configured`);
+  }
+
+  const cacheKey = `${keyId}:${material}`;
+  if (keyCache.has(cacheKey) === false) {
+    keyCache.set(cacheKey, await crypto.subtle.importKey('raw', fromBase64(material), 'AES-GCM', false,
+                                                         ['encrypt', 'decrypt']));
+  }
+
+  return keyCache.get(cacheKey);
+}
+
+
+/******************************************************************************/
+
+
+/* Given the base IV of an object, the index of a segment in it and whether or
+ * not it is the last segment, return back the parameters for encrypting or
+ * decrypting that segment.
+ *
+ * Each segment uses the base IV with its index mixed into the last four bytes,
+ * and is authenticated along with a flag that says if it is the last segment,
+ * so that segments can't be reordered and the object can't be truncated at a
+ * segment boundary without it being detected. */
+function segmentParams(iv, index, final) {
+  const segmentIv = iv.slice();
+  const view = new DataView(segmentIv.buffer);
+  view.setUint32(IV_SIZE - 4, view.getUint32(IV_SIZE - 4) ^ index);
+
+  return {
+    name: 'AES-GCM',
+    iv: segmentIv,
+    additionalData: new Uint8Array([final ? 1 : 0]),
+    tagLength: TAG_SIZE * 8
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a TransformStream that splits the bytes written to it into
+ * segments of the given size, and passes each through the given asynchronous
+ * function along with its index and whether it is the last segment; whatever
+ * it returns is what the stream outputs.
+ *
+ * There is always at least one segment, even if nothing is written. */
+function segmentStream(size, handler) {
+  let pending = new Uint8Array(0);
+  let index = 0;
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      pending = concatBytes(pending, chunk);
+
+      // Only segments that are known to not be the last one are handled as
+      // the data arrives; the last is handled when the stream is done.
+      while (pending.length > size) {
+        controller.enqueue(await handler(pending.subarray(0, size), index++, false));
+        pending = pending.slice(size);
+      }
+    },
+
+    async flush(controller) {
+      controller.enqueue(await handler(pending, index, true));
+    }
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Given the environment of the worker, return back the key that objects should
+ * be encrypted with when they are stored, as an object of the form:
+ *     {
+ *         "keyId": "ID of the key",
+ *         "key": CryptoKey
+ *     }
+ *
+ * The key that is used is the one whose ID is set in ENCRYPTION_KEY_ID; when
+ * that is not set, objects are not encrypted and null is returned. */
+export async function getEncryptionKey(env) {
+  const keyId = env.ENCRYPTION_KEY_ID;
+  if (keyId === undefined || keyId === '') {
+    return null;
+  }
+
+  return { keyId, key: await importKey(env, keyId) };
+}
+
+
+/******************************************************************************/
+
+
+/* Given an encryption key as returned by getEncryptionKey(), return back an
+ * object of the form:
+ *     {
+ *         "stream": TransformStream,
+ *         "metadata": { ... }
+ *     }
+ *
+ * The stream encrypts the bytes written to it with the key and a newly
+ * generated IV; the metadata records the key ID and IV, and needs to be stored
+ * as the custom metadata of the object so that it can be decrypted again. */
+export function createEncryptStream({ keyId, key }) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_SIZE));
+
+  const stream = segmentStream(SEGMENT_SIZE, async (segment, index, final) =>
+    new Uint8Array(await crypto.subtle.encrypt(segmentParams(iv, index, final), key, segment))
+  );
+
+  return {
+    stream,
+    metadata: { encryption: ENCRYPTION_SCHEME, keyId, iv: toBase64(iv) }
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the custom metadata of an R2 object, return an indication of whether
+ * or not the object is encrypted. */
+export const isEncrypted = customMetadata => customMetadata?.encryption !== undefined;
+
+
+/******************************************************************************/
+
+
+/* Given the environment of the worker and the custom metadata of an encrypted
+ * R2 object, return back a TransformStream that decrypts the bytes of the
+ * object that are written to it.
+ *
+ * The key that the object was encrypted with must still be configured. If the
+ * object can't be decrypted, because it was modified or truncated or the key
+ * is not the one that encrypted it, the stream errors. */
+export async function createDecryptStream(env, customMetadata) {
+  const { encryption, keyId, iv } = customMetadata;
+  if (encryption !== ENCRYPTION_SCHEME) {
+    throw new Error(`unsupported encryption scheme '${encryption}'`);
+  }
+
+  const key = await importKey(env, keyId);
+  const baseIv = fromBase64(iv);
+
+  return segmentStream(SEGMENT_SIZE + TAG_SIZE, async (segment, index, final) => {
+    try {
+      return new Uint8Array(await crypto.subtle.decrypt(segmentParams(baseIv, index, final), key, segment));
+    }
+    catch {
+      throw new Error(`unable to decrypt segment ${index} with encryption key '${keyId}'`);
+    }
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Given the size of an encrypted object, return back the size of the data that
+ * it decrypts to; each segment adds the size of its tag. */
+export function getDecryptedSize(size) {
+  const segments = Math.max(1, Math.ceil(size / (SEGMENT_SIZE + TAG_SIZE)));
+  return size - segments * TAG_SIZE;
+}
+
+
+/******************************************************************************/
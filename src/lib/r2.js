@@ -1,6 +1,110 @@
 /******************************************************************************/
 
 
+import { getEncryptionKey, createEncryptStream, isEncrypted, createDecryptStream,
+         getDecryptedSize } from '#encryption';
+
+
+/******************************************************************************/
+
+
+/* A text encoder used to turn string data into bytes for compression and
+ * encryption. */
+const encoder = new TextEncoder();
+
+
+/* Given an R2 object, return an indication of whether or not its content is
+ * stored gzip compressed. */
+const isCompressed = r2Object => r2Object.httpMetadata?.contentEncoding === 'gzip';
+
+
+/******************************************************************************/
+
+
+/* Given an R2 asset key, some text and a content type, store the text in the
+ * backup bucket under the given key, gzip compressing it if requested.
+ *
+ * Compressed objects have a content encoding of gzip, and the size of the text
+ * is stored in the custom metadata of the object as decodedSize.
+ *
+ * When an encryption key is configured, the text is encrypted (after being
+ * compressed) before it is stored, and the details needed to decrypt it are
+ * stored in the custom metadata of the object. */
+async function storeText(ctx, key, text, contentType, compress) {
+  const encryptionKey = await getEncryptionKey(ctx.env);
+  if (encryptionKey === null && compress !== true) {
+    return ctx.env.R2.put(key, text, {
+      'httpMetadata': { contentType },
+    });
+  }
+
+  const bytes = encoder.encode(text);
+  const httpMetadata = { contentType };
+  const customMetadata = {};
+
+  let stream = new Blob([bytes]).stream();
+  if (compress === true) {
+    stream = stream.pipeThrough(new CompressionStream('gzip'));
+    httpMetadata.contentEncoding = 'gzip';
+    customMetadata.decodedSize = `${bytes.length}`;
+  }
+  if (encryptionKey !== null) {
+    const encrypt = createEncryptStream(encryptionKey);
+    stream = stream.pipeThrough(encrypt.stream);
+    Object.assign(customMetadata, encrypt.metadata);
+  }
+
+  return ctx.env.R2.put(key, await new Response(stream).arrayBuffer(), {
+    httpMetadata,
+    customMetadata,
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Given an R2 object whose body has been fetched from the bucket, return it
+ * back ready to be read; compressed objects are decompressed unless asked not
+ * to.
+ *
+ * Objects that are not encrypted or compressed are returned as-is. Otherwise,
+ * a stand in for the object is returned whose body, text() and json() decrypt
+ * and decompress the content, and whose size is the size of the content once
+ * it has been decoded. */
+async function openObject(ctx, r2Object, decompress) {
+  const encrypted = isEncrypted(r2Object.customMetadata);
+  const compressed = decompress !== false && isCompressed(r2Object);
+  if (encrypted === false && compressed === false) {
+    return r2Object;
+  }
+
+  let body = r2Object.body;
+  let size = r2Object.size;
+  if (encrypted === true) {
+    body = body.pipeThrough(await createDecryptStream(ctx.env, r2Object.customMetadata));
+    size = getDecryptedSize(size);
+  }
+  if (compressed === true) {
+    body = body.pipeThrough(new DecompressionStream('gzip'));
+    size = Number(r2Object.customMetadata?.decodedSize);
+  }
+
+  return {
+    key: r2Object.key,
+    size,
+    httpMetadata: r2Object.httpMetadata,
+    customMetadata: r2Object.customMetadata,
+    body,
+    text: () => new Response(body).text(),
+    json: () => new Response(body).json(),
+  };
+}
+
+
+/******************************************************************************/
+
+
 /* Check the R2 backup bucket to see if an object with the given key exists or
  * not; if it does, the object metadata is returned back; otherwise, null is
  * returned instead. */
@@ -14,15 +118,28 @@ export async function r2KeyExists(ctx, key) {
 
 
 /* Given an R2 asset key and an object, encode the object to JSON and back it
- * up to the backup bucket under the given key.
+ * up to the backup bucket under the given key, optionally gzip compressed.
  *
  * The object will be marked as being JSON data. */
-export async function r2StoreJson(ctx, key, obj) {
+export async function r2StoreJson(ctx, key, obj, compress) {
   console.log(`storing JSON to R2 key: ${key}`);
 
-  return ctx.env.R2.put(key, JSON.stringify(obj), {
-    'httpMetadata': { 'contentType': 'application/json' },
-  });
+  return storeText(ctx, key, JSON.stringify(obj), 'application/json', compress);
+}
+
+
+/******************************************************************************/
+
+
+/* Given an R2 asset key and a string that contains already encoded JSON data,
+ * store it in the backup bucket under the given key, optionally gzip
+ * compressed.
+ *
+ * The object will be marked as being JSON data. */
+export async function r2StoreText(ctx, key, text, compress) {
+  console.log(`storing JSON text to R2 key: ${key}`);
+
+  return storeText(ctx, key, text, 'application/json', compress);
 }
 
 
@@ -40,7 +157,7 @@ export async function r2FetchJSON(ctx, key) {
   // return the resulting object back.
   const r2Object = await ctx.env.R2.get(key);
   if (r2Object !== null) {
-    return await r2Object.json();
+    return await (await openObject(ctx, r2Object)).json();
   }
 
   // Key was not found.
@@ -54,7 +171,8 @@ export async function r2FetchJSON(ctx, key) {
 
 /* Given an R2 asset key, look for an object in the bucket that has that key,
  * grab it and return it back. This will return the raw object; it is up to the
- * caller to do something with the body stream.
+ * caller to do something with the body stream. Encrypted objects are decrypted
+ * and compressed objects are decompressed as the body is read.
  *
  * If there is no such key, null is returned instead. */
 export async function r2RawGet(ctx, key) {
@@ -64,7 +182,7 @@ export async function r2RawGet(ctx, key) {
   // return the resulting object back.
   const r2Object = await ctx.env.R2.get(key);
   if (r2Object !== null) {
-    return r2Object;
+    return await openObject(ctx, r2Object);
   }
 
   // Key was not found.
@@ -73,4 +191,169 @@ export async function r2RawGet(ctx, key) {
 }
 
 
+/******************************************************************************/
+
+
+/* The size of each part in a multipart upload; R2 requires that all parts but
+ * the last be at least 5MiB and that they all be the same size. */
+const R2_PART_SIZE = 5 * 1024 * 1024;
+
+
+/******************************************************************************/
+
+
+/* Given an R2 asset key and a ReadableStream of bytes whose total length is not
+ * known ahead of time, store the content of the stream into the backup bucket
+ * under the given key, with the given HTTP and custom metadata.
+ *
+ * When an encryption key is configured, the stream is encrypted as it is
+ * uploaded, the same as for objects stored from text. */
+async function storeStream(ctx, key, stream, httpMetadata, customMetadata) {
+  const encryptionKey = await getEncryptionKey(ctx.env);
+  if (encryptionKey !== null) {
+    const encrypt = createEncryptStream(encryptionKey);
+    stream = stream.pipeThrough(encrypt.stream);
+    customMetadata = { ...customMetadata, ...encrypt.metadata };
+  }
+
+  const upload = await ctx.env.R2.createMultipartUpload(key, {
+    httpMetadata,
+    customMetadata,
+  });
+
+  const parts = [];
+  let buffer = new Uint8Array(R2_PART_SIZE);
+  let used = 0;
+
+  // Upload the part that is currently buffered, then reset the buffer.
+  const flush = async () => {
+    parts.push(await upload.uploadPart(parts.length + 1, buffer.slice(0, used)));
+    used = 0;
+  }
+
+  try {
+    for await (const chunk of stream) {
+      // Copy the chunk into the part buffer, flushing each time it fills.
+      let offset = 0;
+      while (offset < chunk.length) {
+        const count = Math.min(chunk.length - offset, R2_PART_SIZE - used);
+        buffer.set(chunk.subarray(offset, offset + count), used);
+        used += count;
+        offset += count;
+
+        if (used === R2_PART_SIZE) {
+          await flush();
+        }
+      }
+    }
+
+    // Whatever is left over is the final part; there is always at least one
+    // part, even if the stream was empty.
+    if (used !== 0 || parts.length === 0) {
+      await flush();
+    }
+
+    return await upload.complete(parts);
+  }
+  catch (err) {
+    console.log(`aborting multipart upload of R2 key: ${key}`);
+    await upload.abort();
+    throw err;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given an R2 asset key and a ReadableStream of bytes whose total length is not
+ * known ahead of time, store the content of the stream into the backup bucket
+ * under the given key, using the provided content type.
+ *
+ * R2 cannot accept a stream of unknown length via put(), so this uses a
+ * multipart upload instead, buffering only a single part in memory at a time.
+ * Should anything go wrong, the upload is aborted and the error rethrown.
+ *
+ * The return value is the R2 object for the newly stored key. */
+export async function r2StoreStream(ctx, key, stream, contentType) {
+  console.log(`streaming to R2 key: ${key}`);
+
+  return storeStream(ctx, key, stream, { contentType }, {});
+}
+
+
+/******************************************************************************/
+
+
+/* Given an R2 key prefix, return back a list of all of the objects in the
+ * backup bucket whose keys start with that prefix; the list may be empty.
+ *
+ * Listing is paged by R2, so this will make as many requests as needed to
+ * gather the entire list. */
+export async function r2ListPrefix(ctx, prefix) {
+  console.log(`listing R2 keys with prefix: ${prefix}`);
+
+  const objects = [];
+  let cursor = undefined;
+  do {
+    const listing = await ctx.env.R2.list({ prefix, cursor });
+    objects.push(...listing.objects);
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor !== undefined);
+
+  return objects;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a list of R2 asset keys, remove all of them from the backup bucket.
+ *
+ * Keys that do not exist are silently ignored. R2 limits how many keys can be
+ * removed in one operation, so the deletion may be split into several calls. */
+export async function r2Delete(ctx, keys) {
+  for (let i = 0; i < keys.length; i += 1000) {
+    const batch = keys.slice(i, i + 1000);
+    console.log(`deleting ${batch.length} R2 key(s), starting at: ${batch[0]}`);
+    await ctx.env.R2.delete(batch);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given an R2 asset key, make sure that the object in the bucket with that key
+ * is encrypted with the encryption key that is currently configured; objects
+ * that are not, whether they are encrypted with some other key or are not
+ * encrypted at all, are decrypted and then stored again in their place.
+ * Compressed objects stay compressed.
+ *
+ * If there is no encryption key configured, an error is thrown.
+ *
+ * The return value is the ID of the key that the object was encrypted with
+ * before, or null if it was not encrypted; if the object did not need to be
+ * encrypted again or does not exist, undefined is returned instead. */
+export async function r2Reencrypt(ctx, key) {
+  const encryptionKey = await getEncryptionKey(ctx.env);
+  if (encryptionKey === null) {
+    throw new Error('no encryption key is configured');
+  }
+
+  const head = await ctx.env.R2.head(key);
+  if (head === null || head.customMetadata?.keyId === encryptionKey.keyId) {
+    return undefined;
+  }
+
+  console.log(`re-encrypting R2 key: ${key}`);
+  const object = await openObject(ctx, await ctx.env.R2.get(key), false);
+
+  const { decodedSize } = head.customMetadata ?? {};
+  await storeStream(ctx, key, object.body, head.httpMetadata, decodedSize !== undefined ? { decodedSize } : {});
+
+  return head.customMetadata?.keyId ?? null;
+}
+
+
 /******************************************************************************/
@@ -0,0 +1,148 @@
+/******************************************************************************/
+
+
+/* The number of milliseconds in a day. */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+
+/******************************************************************************/
+
+
+/* Given a timestamp as stored by SQLite's CURRENT_TIMESTAMP, which is in UTC
+ * but carries no time zone, return back a Date for it. */
+const parseTimestamp = value => new Date(`${value.replace(' ', 'T')}Z`);
+
+
+/* Given a Date, return back the number of the day, week and month that it is
+ * in, counting from the epoch. Weeks start on Monday; the epoch was a Thursday,
+ * hence the offset. */
+const dayNumber = date => Math.floor(date.getTime() / MS_PER_DAY);
+const weekNumber = date => Math.floor((dayNumber(date) + 3) / 7);
+const monthNumber = date => date.getUTCFullYear() * 12 + date.getUTCMonth();
+
+
+/******************************************************************************/
+
+
+/* Given a list of backups sorted newest first, a period function that maps a
+ * Date to a period number, and a count of periods, mark as kept the newest
+ * backup in each of the most recent count periods (relative to now), using the
+ * provided reason. */
+function keepPerPeriod(backups, periodOf, count, now, reason) {
+  const current = periodOf(now);
+  const seen = new Set();
+
+  for (const backup of backups) {
+    const period = periodOf(backup.date);
+    if (current - period >= count || seen.has(period)) {
+      continue;
+    }
+
+    seen.add(period);
+    backup.reasons.push(reason);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a list of backups of the form returned by dbBkpGetList() and a policy
+ * of the form returned by dbRetGetPolicy(), determine which of the backups the
+ * policy says should be kept and which should be pruned, as of the given date.
+ *
+ * A backup is kept if any of the rules in the policy keeps it, and pinned
+ * backups are always kept. If the policy has no rules other than maxBytes,
+ * every backup is kept by default.
+ *
+ * Incremental backups can't be restored without the backups that they are
+ * based on, so every backup in the chain of bases of a kept backup is kept as
+ * well, with a reason of "base"; these are in addition to the backups that the
+ * count rules such as keepLast keep.
+ *
+ * Once the other rules are applied, if the total size of the kept backups and
+ * their bases is above maxBytes, the oldest unpinned kept backups are pruned
+ * until the size is at or below the limit. Pinned backups and their bases are
+ * never pruned, so they alone can still be above the limit.
+ *
+ * The return value is an object with a "keep" and a "prune" list; each entry
+ * is the backup record with an added "reasons" array that says why the backup
+ * is being kept, which is empty for backups being pruned. */
+export function applyRetention(backups, policy, now) {
+  now ??= new Date();
+
+  // Work on copies sorted newest first, with the creation date parsed.
+  const list = backups
+    .map(backup => ({ ...backup, date: parseTimestamp(backup.createdAt), reasons: [] }))
+    .sort((a, b) => b.date - a.date || b.id - a.id);
+
+  list.filter(b => b.isPinned).forEach(b => b.reasons.push('pinned'));
+
+  // Every rule considers only unpinned backups, so that a pinned backup does
+  // not use up one of the slots a rule provides.
+  const unpinned = list.filter(b => b.isPinned === false);
+  const hasRules = [policy.keepLast, policy.keepDaily, policy.keepWeekly, policy.keepMonthly]
+    .some(rule => rule !== null && rule !== undefined);
+
+  if (hasRules === false) {
+    unpinned.forEach(b => b.reasons.push('default'));
+  }
+  if (policy.keepLast) {
+    unpinned.slice(0, policy.keepLast).forEach(b => b.reasons.push('last'));
+  }
+  if (policy.keepDaily) {
+    keepPerPeriod(unpinned, dayNumber, policy.keepDaily, now, 'daily');
+  }
+  if (policy.keepWeekly) {
+    keepPerPeriod(unpinned, weekNumber, policy.keepWeekly, now, 'weekly');
+  }
+  if (policy.keepMonthly) {
+    keepPerPeriod(unpinned, monthNumber, policy.keepMonthly, now, 'monthly');
+  }
+
+  // Find the backups that each backup is based on, nearest first.
+  const byName = new Map(list.map(b => [b.backupName, b]));
+  const basesOf = backup => {
+    const bases = [];
+    for (let base = byName.get(backup.baseName); base !== undefined && bases.includes(base) === false;
+         base = byName.get(base.baseName)) {
+      bases.push(base);
+    }
+    return bases;
+  };
+
+  // The backups that are kept by a rule, along with all of their bases.
+  const getKept = () => new Set(list.filter(b => b.reasons.length !== 0).flatMap(b => [b, ...basesOf(b)]));
+
+  // Enforce the size limit by dropping the oldest kept unpinned backups until
+  // the total size of what is kept is under the limit. Dropping a backup that
+  // is the base of a newer kept backup does not free anything until the newer
+  // one is dropped as well.
+  if (policy.maxBytes !== null && policy.maxBytes !== undefined) {
+    const keptSize = () => [...getKept()].reduce((sum, b) => sum + b.size, 0);
+    for (const backup of [...unpinned].reverse()) {
+      if (keptSize() <= policy.maxBytes) {
+        break;
+      }
+      backup.reasons = [];
+    }
+  }
+
+  // Keep the bases of everything that is kept.
+  for (const backup of getKept()) {
+    if (backup.reasons.length === 0) {
+      backup.reasons.push('base');
+    }
+  }
+
+  // Strip the parsed date back off before returning.
+  const result = { keep: [], prune: [] };
+  for (const { date, ...backup } of list) {
+    result[backup.reasons.length !== 0 ? 'keep' : 'prune'].push(backup);
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
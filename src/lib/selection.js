@@ -0,0 +1,211 @@
+/******************************************************************************/
+
+
+/* Given a table name pattern, which is either an exact table name or a glob
+ * that uses '*' to match any run of characters and '?' to match any single
+ * character, return back a regular expression that matches it.
+ *
+ * Like table names in SQLite, the match is not case sensitive. */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+
+/******************************************************************************/
+
+
+/* Given a list of table names and a list of patterns, return back the names
+ * that match any of the patterns, along with the list of patterns that did not
+ * match any of the names. */
+function matchTables(names, patterns) {
+  const unmatched = [];
+  const matched = new Set();
+
+  for (const pattern of patterns) {
+    const regex = patternToRegExp(pattern);
+    const found = names.filter(name => regex.test(name));
+
+    if (found.length === 0) {
+      unmatched.push(pattern);
+    }
+    found.forEach(name => matched.add(name));
+  }
+
+  return { matched, unmatched };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a metadata object of the form returned by dbBkpGenerateMetaInfo() and
+ * a selection of the form:
+ *     {
+ *         "tables": ["Table1", "Prefix*"],
+ *         "excludeTables": ["Table2"],
+ *         "includeDependencies": true
+ *     }
+ *
+ * determine which of the tables in the metadata are selected. When tables is
+ * not provided every table is selected; any table that matches excludeTables
+ * is then removed from the selection.
+ *
+ * Every table that a selected table refers to through a foreign key needs to
+ * be present too; either it is selected, or it is in the provided list of
+ * tables that already exist elsewhere (for example in a database that is being
+ * restored into). If includeDependencies is set, any such table that was not
+ * explicitly excluded is added to the selection automatically.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "selected": ["Table1", "Table3"],
+ *         "added": ["Table3"],
+ *         "missing": [
+ *             { "table": "Table1", "dependency": "Table2" }
+ *         ],
+ *         "unmatched": ["Prefix*"]
+ *     }
+ *
+ * The selected tables are in load order, and added are the tables that were
+ * selected only because of a dependency. A selection is only valid when both
+ * missing (dependencies that are not present) and unmatched (patterns that
+ * matched no tables) are empty. */
+export function selectTables(metadata, selection, existing) {
+  const names = metadata.loadOrder;
+  const available = new Set(existing ?? []);
+
+  // Determine the initial set of tables to select.
+  const included = (selection.tables !== undefined)
+    ? matchTables(names, selection.tables)
+    : { matched: new Set(names), unmatched: [] };
+  const excluded = matchTables(names, selection.excludeTables ?? []);
+
+  const selected = new Set([...included.matched].filter(name => excluded.matched.has(name) === false));
+  const added = [];
+  const missing = [];
+
+  // Walk the dependencies of every selected table, including those that get
+  // added along the way, and make sure they are all present.
+  const queue = [...selected];
+  while (queue.length !== 0) {
+    const name = queue.shift();
+
+    for (const { table: dependency } of metadata.tables[name].constraints) {
+      if (dependency === name || selected.has(dependency) || available.has(dependency)) {
+        continue;
+      }
+
+      if (selection.includeDependencies === true && excluded.matched.has(dependency) === false) {
+        selected.add(dependency);
+        added.push(dependency);
+        queue.push(dependency);
+      } else if (missing.some(e => e.table === name && e.dependency === dependency) === false) {
+        missing.push({ table: name, dependency });
+      }
+    }
+  }
+
+  return {
+    selected: names.filter(name => selected.has(name)),
+    added: names.filter(name => added.includes(name)),
+    missing,
+    unmatched: [...included.unmatched, ...excluded.unmatched],
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* A pattern that matches each identifier and string in some SQL; quoted
+ * identifiers and strings capture the text within the quotes, and bare words
+ * capture the word. */
+const SQL_NAME = /"((?:[^"]|"")*)"|`((?:[^`]|``)*)`|\[([^\]]*)\]|'((?:[^']|'')*)'|([\w$]+)/g;
+
+
+/* Given some SQL, return back a set of all of the names that it could be
+ * referring to, in upper case; this is every identifier in it, as well as the
+ * text of every string, since SQLite will take a string to be an identifier in
+ * some places. */
+function sqlNames(sql) {
+  const names = new Set();
+  for (const match of sql.matchAll(SQL_NAME)) {
+    const name = match.slice(1).find(text => text !== undefined);
+    names.add(name.replace(/""|``|''/g, pair => pair[0]).toUpperCase());
+  }
+
+  return names;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a metadata object and a list of table names from it, return back a new
+ * metadata object that contains only those tables; the load order is kept in
+ * the same relative order.
+ *
+ * Cycles between tables are narrowed down to the kept tables, and any cycle
+ * that no longer has any tables in it is removed.
+ *
+ * Views are kept unless their SQL mentions the name of a table that is not
+ * kept, or of a view that is not kept, since a view can be defined in terms of
+ * other views; this errs on the side of leaving out a view that can't be
+ * created without the tables that were left out. Triggers are kept when they
+ * are on a kept table or view.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "metadata": { ... },
+ *         "skipped": {
+ *             "views": ["View1"],
+ *             "triggers": ["Trigger1"]
+ *         }
+ *     }
+ *
+ * skipped lists the views and triggers that were left out. */
+export function restrictMetadata(metadata, tableNames) {
+  const keep = new Set(tableNames);
+  const left = new Set(metadata.loadOrder.filter(name => keep.has(name) === false).map(name => name.toUpperCase()));
+  const skipped = { views: [], triggers: [] };
+
+  // Views are in the order they were created in, so any view that this one
+  // uses has already been seen.
+  const views = (metadata.views ?? []).filter(view => {
+    if ([...sqlNames(view.sql)].some(name => left.has(name))) {
+      left.add(view.name.toUpperCase());
+      skipped.views.push(view.name);
+      return false;
+    }
+    return true;
+  });
+
+  const owners = new Set([...tableNames, ...views.map(view => view.name)].map(name => name.toUpperCase()));
+  const triggers = (metadata.triggers ?? []).filter(trigger => {
+    if (owners.has(trigger.table.toUpperCase()) === false) {
+      skipped.triggers.push(trigger.name);
+      return false;
+    }
+    return true;
+  });
+
+  return {
+    metadata: {
+      ...metadata,
+      loadOrder: metadata.loadOrder.filter(name => keep.has(name)),
+      tables: Object.fromEntries(Object.entries(metadata.tables).filter(([name]) => keep.has(name))),
+      cycles: (metadata.cycles ?? []).map(cycle => cycle.filter(name => keep.has(name))).filter(cycle => cycle.length !== 0),
+      views,
+      triggers,
+    },
+    skipped
+  };
+}
+
+
+/******************************************************************************/
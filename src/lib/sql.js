@@ -0,0 +1,266 @@
+/******************************************************************************/
+
+
+/* When scanning SQL text outside of any string or comment, the characters
+ * that could change the state of the scan. */
+const SPECIAL = /['"`[\-/;]/g;
+
+/* The character that closes each of the kinds of quoting that SQLite knows
+ * about; all but brackets allow the closing character to be doubled in order
+ * to include it within the quoted text. */
+const QUOTE_END = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+/* A statement that creates a trigger, which has statements of its own in the
+ * body that end with semicolons; such a statement ends only at a semicolon
+ * that follows the END that closes the body. CASE expressions also end with
+ * END, so the keywords that open and close both are tracked. */
+const CREATE_TRIGGER = /^\s*CREATE\s+(?:TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i;
+const BLOCK_KEYWORD = /(?<![\w$])(?:BEGIN|CASE|END)(?![\w$])/gi;
+
+
+/******************************************************************************/
+
+
+/* Given the text of a statement with everything that is within strings and
+ * quoted identifiers removed, return an indication of whether it creates a
+ * trigger whose body has not been closed yet.
+ *
+ * This is the same as what sqlite3_complete() does, except that the END of a
+ * CASE expression is matched up with its CASE, so that it is not mistaken for
+ * the end of the body. */
+function isOpenTrigger(code) {
+  if (CREATE_TRIGGER.test(code) === false) {
+    return false;
+  }
+
+  let depth = 0;
+  let body = false;
+  for (const [keyword] of code.matchAll(BLOCK_KEYWORD)) {
+    switch (keyword.toUpperCase()) {
+      case 'BEGIN':
+        body = true;
+        depth++;
+        break;
+
+      case 'CASE':
+        depth++;
+        break;
+
+      default:
+        depth--;
+    }
+  }
+
+  return body === false || depth > 0;
+}
+
+
+/******************************************************************************/
+
+
+/* Given an iterable (which may be async) of chunks of SQL text, such as a file
+ * being decoded as it is streamed in, yield each of the SQL statements in the
+ * text in turn, without the semicolon that ends it and with any surrounding
+ * white space removed.
+ *
+ * The text is split only at semicolons that are not within strings, quoted
+ * identifiers or comments, and not within the body of a trigger. Comments are
+ * removed from the statements, and empty statements are not yielded. */
+export async function* splitStatements(chunks) {
+  let statement = '';
+  let state = 'normal';
+
+  // The text of the statement outside of strings and quoted identifiers, which
+  // is what is used to find the end of the body of a trigger.
+  let code = '';
+  const add = text => {
+    statement += text;
+    code += text;
+  };
+
+  // Scan the given text, adding it to the current statement and returning a
+  // list of all of the statements that it completes. Anything at the end of
+  // the text that can't be handled without seeing the text that follows it is
+  // returned back to be scanned again along with the next chunk, unless this is
+  // the final chunk.
+  const scan = (text, final) => {
+    const done = [];
+    let i = 0;
+
+    while (i < text.length) {
+      if (state === 'normal') {
+        SPECIAL.lastIndex = i;
+        const match = SPECIAL.exec(text);
+        if (match === null) {
+          add(text.slice(i));
+          i = text.length;
+          break;
+        }
+
+        add(text.slice(i, match.index));
+        i = match.index;
+
+        const c = text[i];
+        if (c === '-' || c === '/') {
+          // Possibly the start of a comment; we need the next character.
+          if (i + 1 === text.length && final === false) {
+            break;
+          }
+
+          const pair = text.slice(i, i + 2);
+          if (pair === '--' || pair === '/*') {
+            state = pair;
+            i += 2;
+          } else {
+            add(c);
+            i++;
+          }
+        } else if (c === ';') {
+          if (isOpenTrigger(code)) {
+            add(c);
+          } else {
+            done.push(statement.trim());
+            statement = '';
+            code = '';
+          }
+          i++;
+        } else {
+          state = QUOTE_END[c];
+          statement += c;
+          code += ' ';
+          i++;
+        }
+      } else if (state === '--') {
+        // Line comments are replaced with the line break that ends them.
+        const end = text.indexOf('\n', i);
+        if (end === -1) {
+          i = text.length;
+          break;
+        }
+
+        add('\n');
+        state = 'normal';
+        i = end + 1;
+      } else if (state === '/*') {
+        // Block comments are replaced with a space; if the end is not found,
+        // keep the last character in case it's the start of the end.
+        const end = text.indexOf('*/', i);
+        if (end === -1) {
+          i = (final === true) ? text.length : Math.max(i, text.length - 1);
+          break;
+        }
+
+        add(' ');
+        state = 'normal';
+        i = end + 2;
+      } else {
+        // Within quotes; the state is the closing character.
+        const end = text.indexOf(state, i);
+        if (end === -1) {
+          statement += text.slice(i);
+          i = text.length;
+          break;
+        }
+
+        // A closing character might be doubled; we need the next character.
+        if (state !== ']' && end + 1 === text.length && final === false) {
+          statement += text.slice(i, end);
+          i = end;
+          break;
+        }
+
+        statement += text.slice(i, end + 1);
+        if (state !== ']' && text[end + 1] === state) {
+          statement += state;
+          i = end + 2;
+        } else {
+          state = 'normal';
+          i = end + 1;
+        }
+      }
+    }
+
+    return { done, carry: text.slice(i) };
+  };
+
+  let carry = '';
+  for await (const chunk of chunks) {
+    const result = scan(carry + chunk, false);
+    carry = result.carry;
+    yield* result.done.filter(sql => sql !== '');
+  }
+
+  yield* scan(carry, true).done.filter(sql => sql !== '');
+  if (statement.trim() !== '') {
+    yield statement.trim();
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Patterns that match an identifier in any of the forms SQLite allows, either
+ * capturing it or not; and a pattern for an optional schema name prefix. */
+const NAME = String.raw`"(?:[^"]|"")+"|\x60(?:[^\x60]|\x60\x60)+\x60|\[[^\]]+\]|[\w$]+`;
+const SCHEMA = String.raw`(?:(?:${NAME})\s*\.\s*)?`;
+
+/* Patterns that match the start of the statements that create an object, or
+ * that insert data into a table. */
+const CREATE_OBJECT = new RegExp(String.raw`^CREATE\s+(?:TEMP\s+|TEMPORARY\s+)?(?:UNIQUE\s+|VIRTUAL\s+)?(TABLE|VIEW|TRIGGER|INDEX)\s+(?:IF\s+NOT\s+EXISTS\s+)?${SCHEMA}(${NAME})`, 'i');
+const INSERT_INTO = new RegExp(String.raw`^(?:INSERT|REPLACE)(?:\s+OR\s+\w+)?\s+INTO\s+${SCHEMA}(${NAME})`, 'i');
+
+
+/******************************************************************************/
+
+
+/* Given an identifier as it appears in SQL, return back the name that it
+ * identifies, removing any quoting. */
+export function unquoteIdentifier(name) {
+  switch (name[0]) {
+    case '"':
+    case '`':
+      return name.slice(1, -1).replaceAll(name[0] + name[0], name[0]);
+
+    case '[':
+      return name.slice(1, -1);
+
+    default:
+      return name;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a SQL statement as yielded by splitStatements(), determine what kind
+ * of statement it is, for those statements that create an object or insert
+ * data.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "type": "table",
+ *         "name": "NameOfTable"
+ *     }
+ *
+ * The type is one of 'table', 'view', 'trigger' or 'index' for a statement that
+ * creates such an object, in which case the name is the name of the object, or
+ * 'insert' for a statement that inserts data, in which case the name is the
+ * name of the table. For any other statement, null is returned. */
+export function parseStatement(sql) {
+  const create = CREATE_OBJECT.exec(sql);
+  if (create !== null) {
+    return { type: create[1].toLowerCase(), name: unquoteIdentifier(create[2]) };
+  }
+
+  const insert = INSERT_INTO.exec(sql);
+  if (insert !== null) {
+    return { type: 'insert', name: unquoteIdentifier(insert[1]) };
+  }
+
+  return null;
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,38 @@
+/******************************************************************************/
+
+
+/* A text encoder used to turn the strings being streamed into bytes. */
+const encoder = new TextEncoder();
+
+
+/******************************************************************************/
+
+
+/* Given an iterable (which may be async) of strings, return back a
+ * ReadableStream that produces the UTF-8 encoding of all of the strings, one
+ * after the other.
+ *
+ * Strings are pulled from the iterable only as the stream is read, so the
+ * whole content never needs to be held in memory at once. */
+export function createTextStream(strings) {
+  const iterator = (strings[Symbol.asyncIterator] ?? strings[Symbol.iterator]).call(strings);
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done === true) {
+        controller.close();
+        return;
+      }
+
+      controller.enqueue(encoder.encode(value));
+    },
+
+    async cancel(reason) {
+      await iterator.return?.(reason);
+    }
+  });
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,257 @@
+/******************************************************************************/
+
+
+/* The size of a tar block; headers occupy exactly one block, and the data for
+ * each member is padded out to a multiple of this size. */
+const TAR_BLOCK_SIZE = 512;
+
+/* The number of bytes in the name field of a tar header. */
+const TAR_NAME_SIZE = 100;
+
+/* A text encoder used to turn string data and header fields into bytes. */
+const encoder = new TextEncoder();
+
+/* Members whose names are too long for the name field are preceded by a pax
+ * extended header that holds the full name; the extended header is itself a
+ * member whose name starts with this prefix. */
+export const PAX_HEADER_PREFIX = 'PaxHeader/';
+
+
+/******************************************************************************/
+
+
+/* Write the given string value into the header buffer at the provided offset,
+ * truncating it if it is longer than the field width allows. */
+function writeString(header, offset, width, value) {
+  header.set(encoder.encode(value).subarray(0, width), offset);
+}
+
+
+/******************************************************************************/
+
+
+/* Write the given numeric value into the header buffer at the provided offset
+ * as a zero padded, NUL terminated octal string, which is how tar stores all of
+ * its numeric header fields. */
+function writeOctal(header, offset, width, value) {
+  writeString(header, offset, width, value.toString(8).padStart(width - 1, '0'));
+}
+
+
+/******************************************************************************/
+
+
+/* Given a name, return back the longest leading part of it that fits in the
+ * given number of bytes without splitting any characters. */
+function truncateName(name, bytes) {
+  let result = '';
+  for (const c of name) {
+    if (encoder.encode(result + c).length > bytes) {
+      break;
+    }
+    result += c;
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the key and value of a pax extended header record, return back the
+ * text of the record; this starts with the length of the whole record in
+ * bytes, which includes the digits of the length itself. */
+function paxRecord(key, value) {
+  const size = encoder.encode(` ${key}=${value}\n`).length;
+
+  let length = size + 1;
+  while (size + String(length).length !== length) {
+    length = size + String(length).length;
+  }
+
+  return `${length} ${key}=${value}\n`;
+}
+
+
+/******************************************************************************/
+
+
+/* Generate and return a 512 byte ustar header block for a member with the
+ * given name, data size in bytes and type, which defaults to a regular file.
+ *
+ * Names longer than the name field are truncated; see tarHeaders() for how
+ * such names are stored. */
+export function tarHeader(name, size, type) {
+  type ??= '0';
+
+  const header = new Uint8Array(TAR_BLOCK_SIZE);
+  const mtime = Math.floor(Date.now() / 1000);
+  const shortName = truncateName(name, TAR_NAME_SIZE);
+
+  writeString(header,   0, 100, shortName); // name
+  writeOctal (header, 100,   8, 0o644);    // mode
+  writeOctal (header, 108,   8, 0);        // uid
+  writeOctal (header, 116,   8, 0);        // gid
+  writeOctal (header, 124,  12, size);     // size
+  writeOctal (header, 136,  12, mtime);    // mtime
+  writeString(header, 156,   1, type);     // typeflag
+  writeString(header, 257,   6, 'ustar');  // magic
+  writeString(header, 263,   2, '00');     // version
+
+  // The checksum is calculated over the header with the checksum field itself
+  // treated as being all spaces; it's then stored as 6 octal digits followed
+  // by a NUL and a space.
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, 148, 8, checksum.toString(8).padStart(6, '0') + '\0 ');
+
+  return header;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the name and data size in bytes of a regular file member, yield the
+ * blocks that make up its header.
+ *
+ * When the name does not fit in the name field of a tar header, the header is
+ * preceded by a pax extended header member whose path record holds the whole
+ * name, and the name in the header itself is truncated; this is the same as
+ * what tar itself does. */
+function* tarHeaders(name, size) {
+  if (encoder.encode(name).length > TAR_NAME_SIZE) {
+    const record = encoder.encode(paxRecord('path', name));
+    yield tarHeader(truncateName(`${PAX_HEADER_PREFIX}${name}`, TAR_NAME_SIZE), record.length, 'x');
+    yield record;
+
+    const remainder = record.length % TAR_BLOCK_SIZE;
+    if (remainder !== 0) {
+      yield new Uint8Array(TAR_BLOCK_SIZE - remainder);
+    }
+  }
+
+  yield tarHeader(name, size);
+}
+
+
+/******************************************************************************/
+
+
+/* Given the text of a pax extended header member, return back an object whose
+ * keys and values are those of the records in it. */
+export function parsePaxHeader(text) {
+  const bytes = encoder.encode(text);
+  const decoder = new TextDecoder();
+  const records = {};
+
+  // The length at the start of each record is in bytes, not characters.
+  let offset = 0;
+  while (offset < bytes.length) {
+    const space = bytes.indexOf(0x20, offset);
+    const length = (space !== -1) ? Number(decoder.decode(bytes.subarray(offset, space))) : NaN;
+    if (Number.isInteger(length) === false || length <= space - offset) {
+      break;
+    }
+
+    const record = decoder.decode(bytes.subarray(space + 1, offset + length - 1));
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+
+  return records;
+}
+
+
+/******************************************************************************/
+
+
+/* Given an iterable (which may be async) of tar members as described in
+ * createTarStream(), yield the chunks of bytes that make up the archive.
+ *
+ * The header of a member that has a body is written before its body is read,
+ * so if the body does not have exactly the size that the member says it does,
+ * the archive would be corrupt; this is reported by throwing an error. */
+async function* tarChunks(members) {
+  for await (const member of members) {
+    // Emit the header, the data, and then enough padding to round the data
+    // out to a full block.
+    let size = member.size;
+    if (member.body !== undefined) {
+      yield* tarHeaders(member.name, size);
+
+      let written = 0;
+      for await (const chunk of member.body) {
+        written += chunk.length;
+        if (written > size) {
+          throw new Error(`tar member '${member.name}' is larger than its declared size of ${size} bytes`);
+        }
+        yield chunk;
+      }
+
+      if (written !== size) {
+        throw new Error(`tar member '${member.name}' has ${written} bytes; expected ${size}`);
+      }
+    } else {
+      const data = typeof member.data === 'string' ? encoder.encode(member.data) : member.data;
+      size = data.length;
+
+      yield* tarHeaders(member.name, size);
+      yield data;
+    }
+
+    const remainder = size % TAR_BLOCK_SIZE;
+    if (remainder !== 0) {
+      yield new Uint8Array(TAR_BLOCK_SIZE - remainder);
+    }
+  }
+
+  // The archive is terminated by two blocks of all zeroes.
+  yield new Uint8Array(TAR_BLOCK_SIZE * 2);
+}
+
+
+/******************************************************************************/
+
+
+/* Given an iterable (which may be async) whose values are objects of either of
+ * the forms:
+ *     {
+ *         "name": "member.json",
+ *         "data": "string or Uint8Array"
+ *     }
+ *     {
+ *         "name": "member.json",
+ *         "size": 1234,
+ *         "body": ReadableStream (or async iterable) of exactly size bytes
+ *     }
+ *
+ * return back a ReadableStream that produces a tar archive that contains one
+ * file member for each item, in the order that the iterable yields them.
+ *
+ * Members are pulled from the iterable only as the stream is read, so the
+ * whole archive never needs to be held in memory at once. */
+export function createTarStream(members) {
+  const chunks = tarChunks(members);
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done === true) {
+        controller.close();
+        return;
+      }
+
+      controller.enqueue(value);
+    },
+
+    async cancel(reason) {
+      await chunks.return(reason);
+    }
+  });
+}
+
+
+/******************************************************************************/
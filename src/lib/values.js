@@ -0,0 +1,252 @@
+/******************************************************************************/
+
+
+/* The largest string that is turned into a binary string in one step while
+ * base64 encoding; this keeps the argument count of String.fromCharCode()
+ * within safe limits. */
+const BASE64_CHUNK_SIZE = 0x8000;
+
+
+/******************************************************************************/
+
+
+/* Given a Uint8Array, return back its contents as a base64 string. */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+
+  return btoa(binary);
+}
+
+
+/* Given a base64 string, return back an ArrayBuffer of the bytes in it. */
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0)).buffer;
+
+
+/* Given a base64 string or an array of bytes, return back its bytes as a hex
+ * string. */
+function toHex(value) {
+  const bytes = Array.isArray(value) ? value : Array.from(atob(value), c => c.charCodeAt(0));
+  return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+
+/******************************************************************************/
+
+
+/* Given a REAL value, return back a string that SQLite will convert back to
+ * exactly the same value; this is the shortest round trip representation of
+ * the number, except for infinities, which SQLite does not parse by name, and
+ * negative zero, whose sign String() drops. */
+function realText(value) {
+  if (Number.isFinite(value) === false) {
+    return value > 0 ? '9e999' : '-9e999';
+  }
+
+  return Object.is(value, -0) ? '-0.0' : String(value);
+}
+
+
+/* Given a REAL value, return back the text for it as in realText(), with a
+ * decimal point added if needed so that it can't be mistaken for an INTEGER. */
+function realLiteral(value) {
+  const text = realText(value);
+  return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the SQLite storage class of a value (as reported by the SQL typeof()
+ * function) and the value, return back the value in the form that it is stored
+ * in table data files. INTEGER values must be provided as text, since they are
+ * not guaranteed to fit into a JavaScript number.
+ *
+ * Most values are stored as-is; the ones that can't survive a trip through
+ * JSON are stored as an object that tags the type of the value:
+ *   - INTEGER values that are not safe integers: { "$int": "12345" }
+ *   - REAL values that are integral or infinite: { "$real": "1" }
+ *   - BLOB values, in base64: { "$blob": "AAEC" }
+ *
+ * Any plain number in the data that is integral is thus an INTEGER, and any
+ * that is not is a REAL. */
+export function encodeValue(type, value) {
+  switch (type) {
+    case 'integer': {
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : { $int: String(value) };
+    }
+
+    case 'real':
+      return (Number.isInteger(value) || Number.isFinite(value) === false) ? { $real: realText(value) } : value;
+
+    case 'blob':
+      return { $blob: toBase64(new Uint8Array(value)) };
+
+    default:
+      return value;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a value as stored in table data files by encodeValue(), return back an
+ * object of the form:
+ *     {
+ *         "placeholder": "CAST(? AS INTEGER)",
+ *         "binding": "12345"
+ *     }
+ *
+ * The placeholder is the SQL expression to use in place of a bare parameter,
+ * and binding is the value to bind to the parameter in it, which together
+ * produce exactly the value that was originally stored.
+ *
+ * Backups made before values were encoded store BLOB values as arrays of
+ * bytes; these are handled as well. */
+export function decodeValue(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return { placeholder: 'CAST(? AS INTEGER)', binding: value };
+  }
+  if (value === null || typeof value !== 'object') {
+    return { placeholder: '?', binding: value };
+  }
+
+  if (Array.isArray(value)) {
+    return { placeholder: '?', binding: new Uint8Array(value).buffer };
+  }
+  if (value.$int !== undefined) {
+    return { placeholder: 'CAST(? AS INTEGER)', binding: value.$int };
+  }
+  if (value.$real !== undefined) {
+    return { placeholder: 'CAST(? AS REAL)', binding: value.$real };
+  }
+  if (value.$blob !== undefined) {
+    return { placeholder: '?', binding: fromBase64(value.$blob) };
+  }
+
+  throw new Error(`unknown encoded value: ${JSON.stringify(value)}`);
+}
+
+
+/******************************************************************************/
+
+
+/* Given a value as stored in table data files by encodeValue(), return back a
+ * SQL literal that represents exactly the same value, for use in generating
+ * SQL text.
+ *
+ * REAL values always have a decimal point or exponent so that SQLite does not
+ * take them to be INTEGER values. */
+export function sqlLiteral(value) {
+  if (value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : realLiteral(value);
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+
+  if (Array.isArray(value)) {
+    return `X'${toHex(value)}'`;
+  }
+  if (value.$int !== undefined) {
+    return value.$int;
+  }
+  if (value.$real !== undefined) {
+    return realLiteral(Number(value.$real));
+  }
+  if (value.$blob !== undefined) {
+    return `X'${toHex(value.$blob)}'`;
+  }
+
+  throw new Error(`unknown encoded value: ${JSON.stringify(value)}`);
+}
+
+
+/******************************************************************************/
+
+
+/* Given a list of values as stored in table data files by encodeValue() and
+ * the largest number of them that can be bound to parameters, return back an
+ * object of the form:
+ *     {
+ *         "sql": ["CAST(? AS INTEGER)", "'text'"],
+ *         "bindings": ["12345"]
+ *     }
+ *
+ * sql has the SQL expression to use for each of the values, in order, and
+ * bindings has the values to bind to the parameters in those expressions, in
+ * the same order, as in decodeValue().
+ *
+ * When there are more values than can be bound, the largest of them are bound
+ * and the rest are put into the SQL as literals by sqlLiteral(), which keeps
+ * the SQL as short as possible. */
+export function sqlValues(values, maxBindings) {
+  let bound = values.map((_, i) => i);
+  if (values.length > maxBindings) {
+    const sizes = values.map(value => JSON.stringify(value).length);
+    bound = bound.sort((a, b) => sizes[b] - sizes[a]).slice(0, maxBindings);
+  }
+
+  const isBound = new Set(bound);
+  const sql = [];
+  const bindings = [];
+  values.forEach((value, i) => {
+    if (isBound.has(i) === false) {
+      sql.push(sqlLiteral(value));
+      return;
+    }
+
+    const { placeholder, binding } = decodeValue(value);
+    sql.push(placeholder);
+    bindings.push(binding);
+  });
+
+  return { sql, bindings };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a value as stored in table data files by encodeValue(), return back a
+ * plain text version of it, or null if the value is NULL; this is meant for
+ * presenting the data in formats that have no types, such as CSV.
+ *
+ * REAL values are formatted as in sqlLiteral(), and BLOB values as base64. */
+export function textValue(value) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : realLiteral(value);
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return toBase64(new Uint8Array(value));
+  }
+  if (value.$int !== undefined) {
+    return value.$int;
+  }
+  if (value.$real !== undefined) {
+    return realLiteral(Number(value.$real));
+  }
+  if (value.$blob !== undefined) {
+    return value.$blob;
+  }
+
+  throw new Error(`unknown encoded value: ${JSON.stringify(value)}`);
+}
+
+
+/******************************************************************************/
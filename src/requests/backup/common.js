@@ -0,0 +1,577 @@
+/******************************************************************************/
+
+
+import { RequestError } from '#requests/common';
+
+import { getDBResult, quoteIdentifier } from '#db/common';
+import { dbBkpDelete, dbBkpGetDependents } from '#db/backup';
+
+import { r2KeyExists, r2ListPrefix, r2Delete, r2FetchJSON, r2RawGet } from '#r2';
+import { selectTables, restrictMetadata } from '#selection';
+import { sha256 } from '#digest';
+import { PAX_HEADER_PREFIX, parsePaxHeader } from '#tar';
+
+import { extract, TAR_OBJECT_TYPE_FILE } from 'streaming-tarball';
+
+
+/******************************************************************************/
+
+
+/* Given the name of a backup, return an indication of whether it is the name of
+ * a tarball backup or not; if not, it is a directory style backup. */
+export const isTarballName = name => name.endsWith('.tar') || name.endsWith('.tgz');
+
+
+/******************************************************************************/
+
+
+/* The maximum number of statements, and the approximate maximum size in bytes
+ * of the data in them, that are sent to the database in a single batch while
+ * loading data. */
+export const MAX_BATCH_STATEMENTS = 50;
+export const MAX_BATCH_BYTES = 512 * 1024;
+
+
+/******************************************************************************/
+
+
+/* The key prefix under which objects that are only needed while a request is
+ * running are staged. Backups are stored under the name of their database,
+ * and a binding name can't start with a period, so nothing here can be taken
+ * to be a part of a backup. */
+export const STAGING_PREFIX = '.staging/';
+
+
+/******************************************************************************/
+
+
+/* Given a key that represents a tarball, return back a stream that can be used
+ * to extract the contents of the tarball.
+ *
+ * This can handle uncompressed keys (extension of '.tar') and gzipped tar files
+ * (extention of '.tgz') only.
+ *
+ * If the key represents a file that exists in the bucket and is one of the
+ * supported tar formats (based on filename), a stream is returned that can be
+ * extracted by streaming-tarball ; otherwise null is returned. */
+export async function getTarStream(ctx, key) {
+  // Verify that the file that this represents is one of the formats that we can
+  // handle.
+  if (key.endsWith('.tar') === false && key.endsWith('.tgz') === false) {
+    console.log(`input key ${key} is not a recongnized tarball filename`);
+    return null;
+  }
+
+  // Try to fetch the tarball object from the bucket; early fail if we can't.
+  const tarball = await r2RawGet(ctx, key);
+  if (tarball === null) {
+    return null;
+  }
+
+  // If this is a compressed tarball, then we need to send the output through
+  // a decompression stream.
+  if (key.endsWith('.tgz')) {
+    return tarball.body.pipeThrough(new DecompressionStream('gzip'));
+  }
+
+  // The tar archive is "bare".
+  return tarball.body;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a stream of a tarball as returned by getTarStream(), yield each of the
+ * members of the archive, in the form that extract() yields them.
+ *
+ * Members whose names are too long for a tar header are preceded by a pax
+ * extended header that holds the name; see createTarStream(). In case
+ * extract() does not apply these itself, any that it yields are applied to the
+ * member that follows them here instead. */
+async function* extractMembers(tarball) {
+  let path;
+  for await (const member of extract(tarball)) {
+    if (member.header.name.startsWith(PAX_HEADER_PREFIX)) {
+      path = parsePaxHeader(await member.text()).path;
+      continue;
+    }
+
+    if (path === undefined) {
+      yield member;
+    } else {
+      yield { header: { ...member.header, name: path }, text: () => member.text() };
+      path = undefined;
+    }
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a table entry from the metadata of a backup, return back the list of
+ * the chunks that hold the data for that table, in order. Each chunk is an
+ * object of the form:
+ *     {
+ *         "file": "NameOfTable.0.json",
+ *         "rows": 1234,
+ *         "size": 5678,
+ *         "sha256": "digest of the file",
+ *         "backup": "name of the backup that holds the file"
+ *     }
+ *
+ * The backup is only present in the chunks of an incremental backup whose data
+ * did not change since the backup it is based on; the file is then stored in
+ * that other backup of the same database instead; see getChunkKey().
+ *
+ * Backups from before table data was chunked have a single data file per
+ * table, which is returned as the only chunk; depending on the age of the
+ * backup, the rows, size and digest may be undefined. */
+export const getTableChunks = table => table.chunks ?? [{
+  file: `${table.name}.json`,
+  rows: table.rows,
+  size: table.size,
+  sha256: table.sha256,
+}];
+
+
+/******************************************************************************/
+
+
+/* Given the key prefix of a directory style backup and one of the chunk entries
+ * from its metadata as returned by getTableChunks(), return back the R2 key of
+ * the data file for that chunk; this is in a different backup of the same
+ * database when the chunk is shared with the backup it is based on. */
+export const getChunkKey = (baseKey, chunk) => (chunk.backup === undefined)
+  ? `${baseKey}/${chunk.file}`
+  : `${baseKey.slice(0, baseKey.lastIndexOf('/'))}/${chunk.backup}/${chunk.file}`;
+
+
+/******************************************************************************/
+
+
+/* Given the metadata of a backup, return back a copy of it that describes the
+ * backup as a full backup that holds all of its own data; this removes the
+ * link to the backup that an incremental backup is based on, as well as the
+ * links from its chunks to the backups that hold their data. */
+export function getStandaloneMetadata(metadata) {
+  const { base, ...standalone } = metadata;
+
+  standalone.tables = Object.fromEntries(Object.entries(metadata.tables).map(([name, table]) => [
+    name,
+    { ...table, chunks: table.chunks?.map(({ backup, ...chunk }) => chunk) }
+  ]));
+
+  return standalone;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a table entry from the metadata of a backup, one of its chunk entries
+ * as returned by getTableChunks() and the data object for that chunk as
+ * yielded by the members of openBackup(), read the data and return back its
+ * text.
+ *
+ * Data that does not match the digest recorded for the chunk is refused by
+ * throwing a RequestError. Backups that predate the digests being recorded are
+ * read without verification. */
+export async function readChunkText(table, chunk, data) {
+  const text = await data.text();
+  if (chunk.sha256 !== undefined && await sha256(text) !== chunk.sha256) {
+    throw new RequestError(`data file '${chunk.file}' for table '${table.name}' does not match its recorded digest`);
+  }
+
+  return text;
+}
+
+
+/******************************************************************************/
+
+
+/* Read the data of a chunk as in readChunkText(), and return back the rows
+ * that it contains. */
+export const readChunkData = async (table, chunk, data) => JSON.parse(await readChunkText(table, chunk, data));
+
+
+/******************************************************************************/
+
+
+/* Given a metadata object, a table selection from a request and an optional
+ * list of tables that exist elsewhere, select the tables as in selectTables().
+ *
+ * If the selection is not valid, a RequestError is thrown that explains why.
+ *
+ * The return value is an object that contains the metadata, restricted to just
+ * the selected tables, along with the list of the tables that were added to
+ * satisfy dependencies and the views and triggers that were left out, as in
+ * restrictMetadata(). */
+export function applyTableSelection(metadata, selection, existing) {
+  const { selected, added, missing, unmatched } = selectTables(metadata, selection, existing);
+
+  if (unmatched.length !== 0) {
+    throw new RequestError(`no tables match: ${unmatched.join(', ')}`, 400, { unmatched });
+  }
+  if (missing.length !== 0) {
+    throw new RequestError(`selected tables depend on tables that are not selected`, 400, { missing });
+  }
+
+  return { ...restrictMetadata(metadata, selected), added };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the key prefix of a directory style backup and the metadata for it,
+ * yield the members of a tarball that contains the backup, in the form that
+ * createTarStream() expects.
+ *
+ * The members are in the order that tarball restores require; the metadata
+ * file first, followed by the data files of each table in load order. The data
+ * of each member is streamed directly from the bucket.
+ *
+ * A tarball always holds all of its own data, so for an incremental backup the
+ * data files that are shared with other backups are included as well, and the
+ * metadata is written as that of a full backup. */
+export async function* getDirectoryTarMembers(ctx, baseKey, metadata) {
+  const metaBytes = new TextEncoder().encode(JSON.stringify(getStandaloneMetadata(metadata)));
+  yield { name: 'metadata.json', size: metaBytes.length, body: new Blob([metaBytes]).stream() };
+
+  for (const name of metadata.loadOrder) {
+    for (const chunk of getTableChunks(metadata.tables[name])) {
+      const key = getChunkKey(baseKey, chunk);
+      const object = await r2RawGet(ctx, key);
+      if (object === null) {
+        throw new RequestError(`file '${key}' missing`);
+      }
+
+      yield { name: chunk.file, size: object.size, body: object.body };
+    }
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Open the backup with the given name that was made from the given database
+ * for reading, regardless of whether it is a directory style backup or a
+ * tarball.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "key": "the R2 key or key prefix of the backup",
+ *         "metadata": { ... },
+ *         "members": async generator
+ *     }
+ *
+ * Calling members() returns an async iterator that yields, in load order, one
+ * object per table data chunk (or only for the tables named in the optional
+ * list passed to it, or only for the chunks whose indexes are in the Set for
+ * each table when it is instead a Map of table names to Sets) of the form:
+ *     {
+ *         "table": { the table entry from the metadata },
+ *         "chunk": { the chunk entry, as returned by getTableChunks() },
+ *         "index": 0,
+ *         "data": object with a text() method to obtain the chunk data
+ *     }
+ *
+ * The chunks of each table are yielded in order, and index is the position of
+ * the chunk within the table; a new table starts whenever it is 0.
+ *
+ * A missing data file in a directory style backup is an error, unless the
+ * second argument to members() is true, in which case the chunk is yielded
+ * with a data of null and the rest of the backup can still be read. This has
+ * no effect on tarballs, where a missing member leaves the rest unreadable.
+ *
+ * The member iterator can only be used once, and for a tarball the data of
+ * each member must be consumed before moving to the next one. Chunks that are
+ * not wanted are not fetched at all for a directory style backup, while for a
+ * tarball they are read past, as is the rest of the archive after the last
+ * wanted chunk.
+ *
+ * For tarballs, the same checks that are done when restoring are made; the
+ * archive must start with the metadata, and the remaining members must appear
+ * in load order. Any problem with the backup, including it not existing, is
+ * reported by throwing a RequestError. */
+export async function openBackup(ctx, fromDatabase, name) {
+  const key = `${fromDatabase}/${name}`;
+
+  // Given what was passed to members(), return back a function that says if
+  // the chunk with the given index in the named table is wanted.
+  const isWanted = (metadata, tableNames) => {
+    if (tableNames instanceof Map) {
+      return (tableName, index) => tableNames.get(tableName)?.has(index) === true;
+    }
+
+    const wanted = new Set(tableNames ?? metadata.loadOrder);
+    return tableName => wanted.has(tableName);
+  };
+
+  // For directory backups, the metadata and the data for each table are all
+  // separate objects.
+  if (isTarballName(name) === false) {
+    const metaKey = `${key}/metadata.json`;
+    const metadata = await r2FetchJSON(ctx, metaKey);
+    if (metadata === null) {
+      throw new RequestError(`metadata file '${metaKey}' not found`, 404);
+    }
+
+    async function* members(tableNames, allowMissing) {
+      const wanted = isWanted(metadata, tableNames);
+      for (const tableName of metadata.loadOrder) {
+        const table = metadata.tables[tableName];
+
+        for (const [index, chunk] of getTableChunks(table).entries()) {
+          if (wanted(tableName, index) === false) {
+            continue;
+          }
+
+          const chunkKey = getChunkKey(key, chunk);
+          const data = await r2RawGet(ctx, chunkKey);
+          if (data === null && allowMissing !== true) {
+            throw new RequestError(`table data file '${chunkKey}' missing`);
+          }
+
+          yield { table, chunk, index, data };
+        }
+      }
+    }
+
+    return { key, metadata, members };
+  }
+
+  // This is a tarball; the metadata is the first member of the archive.
+  const tarball = await getTarStream(ctx, key);
+  if (tarball === null) {
+    throw new RequestError(`file '${key}' is not a valid tar file`, 404);
+  }
+
+  // Small inline helper to ensure that a tarball member is a file and that it
+  // has the name provided.
+  const isFile = (m, name) => m.header.type === TAR_OBJECT_TYPE_FILE && m.header.name === name;
+
+  const archive = extractMembers(tarball);
+  const first = await archive.next();
+  if (first.done === true || isFile(first.value, 'metadata.json') === false) {
+    throw new RequestError(`unexpected file '${first.value?.header.name}' in '${key}'; expected 'metadata.json'`);
+  }
+  const metadata = JSON.parse(await first.value.text());
+
+  async function* members(tableNames) {
+    const wanted = isWanted(metadata, tableNames);
+    for (const tableName of metadata.loadOrder) {
+      const table = metadata.tables[tableName];
+
+      for (const [index, chunk] of getTableChunks(table).entries()) {
+        const { value: member, done } = await archive.next();
+        if (done === true) {
+          throw new RequestError(`'${key}' ended early; expected '${chunk.file}'`);
+        }
+        if (isFile(member, chunk.file) === false) {
+          throw new RequestError(`unexpected file '${member.header.name}' in '${key}'; expected '${chunk.file}'`);
+        }
+
+        // Members for tables that are not wanted still need to be consumed in
+        // order to get to the following member.
+        if (wanted(tableName, index) === false) {
+          await member.text();
+          continue;
+        }
+
+        yield { table, chunk, index, data: member };
+      }
+    }
+
+    // Anything beyond the tables is not something that we know about.
+    const { value: extra, done } = await archive.next();
+    if (done === false) {
+      throw new RequestError(`unexpected file '${extra.header.name}' in '${key}'; expected end of archive`);
+    }
+  }
+
+  return { key, metadata, members };
+}
+
+
+/******************************************************************************/
+
+
+/* Open the backup with the given name that was made from the given database
+ * as in openBackup(), and read through all of the data in it to ensure that it
+ * is a valid backup that can be restored.
+ *
+ * The metadata has to describe every table in the load order, and every data
+ * chunk has to be present (in the right order, for a tarball), match its
+ * digest and contain rows with the right number of columns. Any problem is
+ * reported by throwing a RequestError.
+ *
+ * The return value is an object that contains the metadata of the backup and
+ * a list of the tables in it with the number of rows in each. */
+export async function validateBackup(ctx, fromDatabase, name) {
+  const { metadata, members } = await openBackup(ctx, fromDatabase, name);
+
+  const tableNames = Object.keys(metadata.tables ?? {});
+  if (Array.isArray(metadata.loadOrder) === false || metadata.loadOrder.length !== tableNames.length ||
+      metadata.loadOrder.some(tableName => metadata.tables[tableName] === undefined)) {
+    throw new RequestError(`backup '${name}' has invalid metadata; the load order and tables do not match`);
+  }
+
+  const tables = [];
+  for await (const { table, chunk, index, data } of members()) {
+    if (index === 0) {
+      tables.push({ name: table.name, rows: 0 });
+    }
+
+    const rows = await readChunkData(table, chunk, data);
+    if (rows.some(row => Array.isArray(row) === false || row.length !== table.columns.length)) {
+      throw new RequestError(`data file '${chunk.file}' for table '${table.name}' has rows that do not match the table columns`);
+    }
+    if (chunk.rows !== undefined && rows.length !== chunk.rows) {
+      throw new RequestError(`data file '${chunk.file}' for table '${table.name}' has ${rows.length} rows; expected ${chunk.rows}`);
+    }
+
+    tables[tables.length - 1].rows += rows.length;
+  }
+
+  return { metadata, tables };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the name of the database that a backup was made from and the name of
+ * the backup, return back the list of R2 keys of all of the objects in the
+ * bucket that make up that backup.
+ *
+ * For a tarball this is the single key of the archive, while for a directory
+ * style backup this is every object under the key prefix of the backup. Either
+ * can also have a SQL dump that was exported from it and stored next to it.
+ * Nothing under STAGING_PREFIX is ever a part of a backup.
+ *
+ * The list will be empty if there are no objects for the backup. */
+export async function getBackupKeys(ctx, fromDatabase, name) {
+  const baseKey = `${fromDatabase}/${name}`;
+
+  if (baseKey.startsWith(STAGING_PREFIX)) {
+    return [];
+  }
+
+  const keys = isTarballName(name)
+    ? ((await r2KeyExists(ctx, baseKey)) !== null ? [baseKey] : [])
+    : (await r2ListPrefix(ctx, `${baseKey}/`)).map(object => object.key);
+
+  if ((await r2KeyExists(ctx, `${baseKey}.sql`)) !== null) {
+    keys.push(`${baseKey}.sql`);
+  }
+
+  return keys;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the name of the database that a backup was made from, the name of the
+ * backup, and the list of keys that getBackupKeys() found for it, return back
+ * the list of keys that should be a part of the backup but are missing.
+ *
+ * For a tarball this is the key of the archive itself if it does not exist.
+ * For a directory style backup this is the metadata.json file if it does not
+ * exist, or otherwise any table data file that the metadata mentions but which
+ * does not exist, including those that are shared with other backups.
+ *
+ * An empty list indicates that the backup is complete. */
+export async function getMissingBackupKeys(ctx, fromDatabase, name, keys) {
+  const baseKey = `${fromDatabase}/${name}`;
+
+  if (isTarballName(name)) {
+    return keys.includes(baseKey) ? [] : [baseKey];
+  }
+
+  const metaKey = `${baseKey}/metadata.json`;
+  if (keys.includes(metaKey) === false) {
+    return [metaKey];
+  }
+
+  const metadata = await r2FetchJSON(ctx, metaKey);
+  const chunks = metadata.loadOrder.flatMap(name => getTableChunks(metadata.tables[name]));
+
+  const missing = [];
+  for (const chunk of chunks) {
+    const key = getChunkKey(baseKey, chunk);
+    const exists = (chunk.backup === undefined) ? keys.includes(key) : (await r2KeyExists(ctx, key)) !== null;
+    if (exists === false) {
+      missing.push(key);
+    }
+  }
+
+  return missing;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a backup record of the form returned by dbBkpGetList(), remove all of
+ * the objects that make up the backup from the R2 bucket, and then remove the
+ * tracking record for the backup.
+ *
+ * A backup that other incremental backups are based on can't be removed until
+ * they are, since they may use its data; trying to do so throws a RequestError
+ * that lists them.
+ *
+ * If the caller has already gathered the list of keys for the backup via
+ * getBackupKeys(), it may be provided to avoid having to gather it again.
+ *
+ * The return value is an object that contains the backup record and the list
+ * of the R2 keys that were removed. */
+export async function removeBackup(ctx, backup, keys) {
+  const dependents = await dbBkpGetDependents(ctx.env.sekurkopio, backup.dbName, backup.backupName);
+  if (dependents.length !== 0) {
+    throw new RequestError(`backup '${backup.backupName}' for database '${backup.dbName}' is the base of other backups`,
+                           409, { dependents: dependents.map(dependent => dependent.backupName) });
+  }
+
+  keys ??= await getBackupKeys(ctx, backup.dbName, backup.backupName);
+
+  await r2Delete(ctx, keys);
+  await dbBkpDelete(ctx.env.sekurkopio, backup.id);
+
+  return { ...backup, keys };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a database and a list of tables in load order, drop all of those tables
+ * from the database in the reverse of the load order, so that no table is
+ * dropped while tables that depend on it still exist. Before the tables are
+ * dropped, the views and triggers in the provided lists of names are dropped.
+ *
+ * Dropping a table deletes its rows, which foreign keys check. The checks are
+ * deferred to the end of the batch, so tables in the list that refer to each
+ * other can be dropped in any order. Deferring does not help tables outside
+ * the list: if any of them still has rows that refer to a dropped table, the
+ * batch fails and nothing is dropped. */
+export async function dropTables(ctx, dbHandle, tableNames, viewNames, triggerNames) {
+  const batch = [
+    ...viewNames.map(name => dbHandle.prepare(`DROP VIEW IF EXISTS ${quoteIdentifier(name)}`)),
+    ...triggerNames.map(name => dbHandle.prepare(`DROP TRIGGER IF EXISTS ${quoteIdentifier(name)}`)),
+    ...[...tableNames].reverse().map(name => dbHandle.prepare(`DROP TABLE ${quoteIdentifier(name)}`))
+  ];
+  if (batch.length === 0) {
+    return;
+  }
+
+  batch.unshift(dbHandle.prepare(`PRAGMA defer_foreign_keys = on`));
+  getDBResult('dropTables', 'drop_tables', await dbHandle.batch(batch));
+}
+
+
+/******************************************************************************/
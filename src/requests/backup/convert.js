@@ -0,0 +1,170 @@
+/******************************************************************************/
+
+
+import { success, fail, RequestError } from '#requests/common';
+import { isTarballName, getTarStream, getDirectoryTarMembers, openBackup, readChunkText,
+         validateBackup, getBackupKeys, removeBackup } from '#requests/backup/common';
+
+import { dbBkpFind, dbBkpInsert, dbBkpSetPinned, dbBkpGetDependents } from '#db/backup';
+
+import { r2FetchJSON, r2StoreJson, r2StoreText, r2StoreStream, r2Delete } from '#r2';
+import { createTarStream } from '#tar';
+
+
+/******************************************************************************/
+
+
+/* Given the name of a backup, return back the name without any tarball
+ * extension. */
+const baseName = name => isTarballName(name) ? name.slice(0, name.lastIndexOf('.')) : name;
+
+
+/******************************************************************************/
+
+
+/* Convert the backup with the given name that was made from the given database
+ * into a tarball backup with the new name, gzip compressing it if requested.
+ * The source can be either a directory style backup or a tarball in the other
+ * tarball format.
+ *
+ * The tarball is validated once it is written, which ensures that the members
+ * are in the order that restores require.
+ *
+ * The return value is the size of the new tarball. */
+async function convertToTarball(ctx, fromDatabase, name, newName, compress) {
+  const sourceKey = `${fromDatabase}/${name}`;
+  const tarKey = `${fromDatabase}/${newName}`;
+
+  // For a directory backup, assemble the tarball from the objects; otherwise
+  // the source tarball is already in the right layout, and only needs to have
+  // its compression changed.
+  let stream;
+  if (isTarballName(name)) {
+    stream = await getTarStream(ctx, sourceKey);
+    if (stream === null) {
+      throw new RequestError(`file '${sourceKey}' is not a valid tar file`, 404);
+    }
+  } else {
+    const metaKey = `${sourceKey}/metadata.json`;
+    const metadata = await r2FetchJSON(ctx, metaKey);
+    if (metadata === null) {
+      throw new RequestError(`metadata file '${metaKey}' not found`, 404);
+    }
+
+    stream = createTarStream(getDirectoryTarMembers(ctx, sourceKey, metadata));
+  }
+
+  if (compress === true) {
+    stream = stream.pipeThrough(new CompressionStream('gzip'));
+  }
+
+  const contentType = compress ? 'application/gzip' : 'application/x-tar';
+  const object = await r2StoreStream(ctx, tarKey, stream, contentType);
+
+  await validateBackup(ctx, fromDatabase, newName);
+  return object.size;
+}
+
+
+/******************************************************************************/
+
+
+/* Convert the tarball backup with the given name that was made from the given
+ * database into a directory style backup with the new name.
+ *
+ * The members of the tarball are checked as they are read, the same as when
+ * restoring; each data file is stored as-is, and the metadata is written last,
+ * as it is when creating a backup.
+ *
+ * The return value is the total size of the objects that were written. */
+async function convertToDirectory(ctx, fromDatabase, name, newName) {
+  const baseKey = `${fromDatabase}/${newName}`;
+  const { metadata, members } = await openBackup(ctx, fromDatabase, name);
+
+  let size = 0;
+  for await (const { table, chunk, data } of members()) {
+    const object = await r2StoreText(ctx, `${baseKey}/${chunk.file}`, await readChunkText(table, chunk, data));
+    size += object.size;
+  }
+
+  const metaObject = await r2StoreJson(ctx, `${baseKey}/metadata.json`, metadata);
+  return size + metaObject.size;
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request to convert a backup into a different format; a directory
+ * style backup can be converted into a tarball, a tarball into a directory
+ * style backup, or a tarball into the other tarball format.
+ *
+ * The converted backup has the same name as the original, with the extension
+ * for the new format, and is registered in the list of backups with the same
+ * pinned state as the original. There can't already be a backup with that
+ * name; if the conversion fails, anything that was written is removed again.
+ *
+ * The converted backup always holds all of its own data, so converting an
+ * incremental backup results in a full backup.
+ *
+ * If requested, the original backup is deleted once the conversion is done,
+ * unless it is the base of an incremental backup. */
+export async function reqConvertBackup(ctx) {
+  const { fromDatabase, name, format, deleteSource } = ctx.req.valid('json');
+
+  const newName = (format === 'files') ? baseName(name) : `${baseName(name)}.${format}`;
+  if (newName === name) {
+    return fail(ctx, `backup '${name}' is already in the ${format} format`);
+  }
+  if ((await getBackupKeys(ctx, fromDatabase, newName)).length !== 0) {
+    return fail(ctx, `backup '${newName}' already exists for database '${fromDatabase}'`, 409);
+  }
+
+  // Incremental backups share the data of their base, so it can't be deleted.
+  const dependents = deleteSource ? await dbBkpGetDependents(ctx.env.sekurkopio, fromDatabase, name) : [];
+  if (dependents.length !== 0) {
+    return fail(ctx, `backup '${name}' is the base of other backups and can't be deleted`, 409,
+                { dependents: dependents.map(dependent => dependent.backupName) });
+  }
+
+  let size;
+  try {
+    size = (format === 'files')
+      ? await convertToDirectory(ctx, fromDatabase, name, newName)
+      : await convertToTarball(ctx, fromDatabase, name, newName, format === 'tgz');
+  }
+  catch (err) {
+    await r2Delete(ctx, await getBackupKeys(ctx, fromDatabase, newName));
+    throw err;
+  }
+
+  // Register the new backup, carrying over the pinned state of the original.
+  const source = await dbBkpFind(ctx.env.sekurkopio, fromDatabase, name);
+  const record = await dbBkpInsert(ctx.env.sekurkopio, fromDatabase, newName, size);
+  if (source?.isPinned === true) {
+    await dbBkpSetPinned(ctx.env.sekurkopio, record.id, true);
+  }
+
+  // Remove the original if asked; it may not have a tracking record if it was
+  // placed in the bucket by some other means.
+  if (deleteSource === true) {
+    if (source !== null) {
+      await removeBackup(ctx, source);
+    } else {
+      await r2Delete(ctx, await getBackupKeys(ctx, fromDatabase, name));
+    }
+  }
+
+  return success(ctx, `converted backup '${name}' to '${newName}'`, {
+    id: record.id,
+    fromDatabase,
+    name: newName,
+    source: name,
+    format,
+    size,
+    sourceDeleted: deleteSource,
+  });
+}
+
+
+/******************************************************************************/
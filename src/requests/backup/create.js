@@ -1,75 +1,454 @@
 /******************************************************************************/
 
 
-import { success, fail } from '#requests/common';
+import { success, fail, RequestError } from '#requests/common';
+import { isTarballName, getTableChunks, applyTableSelection } from '#requests/backup/common';
 
-import { dbBkpGenerateMetaInfo, dbBkpGetTableContents, dbBkpInsert } from "#db/backup";
+import { dbBkpGenerateMetaInfo, dbBkpGetTableContents, dbBkpGetRowidName, dbBkpInsert,
+         dbBkpGetDependents } from "#db/backup";
 
-import { r2StoreJson } from '#r2';
+import { r2FetchJSON, r2StoreJson, r2StoreText, r2StoreStream } from '#r2';
+import { createTarStream } from '#tar';
+import { sha256 } from '#digest';
+
+import { DEFAULT_CHUNK_ROWS } from '#schema/backup';
 
 
 /******************************************************************************/
 
 
-/* Handles a request for a DB dump; this will generate a metadata JSON file that
- * describes all of the tables, plus one file per table to contain the data for
- * that table. All of the files will be sent to the R2 BACKUP bucket using a
- * key prefix that consists of the project name and a specified uniqueness key,
- * which defaults to the current date and time if not specified.
+/* A text encoder used to determine the size in bytes of table data. */
+const encoder = new TextEncoder();
+
+
+/******************************************************************************/
+
+
+/* Given a table from the metadata that has been captured, return back the
+ * record that is used to describe the table in the result of a dump request. */
+const tableResult = table => ({
+  name: table.name,
+  indexes: table.indexes.length,
+  rows: table.rows,
+  chunks: table.chunks.length,
+  sharedChunks: table.chunks.filter(chunk => chunk.backup !== undefined).length,
+  columns: table.columns,
+});
+
+
+/******************************************************************************/
+
+
+/* Given the name of a database and the name of a backup of it that is to be
+ * used as the base of an incremental backup, return back an object of the
+ * form:
+ *     {
+ *         "name": "name of the base backup",
+ *         "metadata": { the metadata of the base backup }
+ *     }
  *
- * The metadata contains information on all tables, how to define them, what
- * their indexes are, the names of their columns, as well as what order in which
- * to insert them in order to not violate any key constraints. */
-export async function reqCreateDump(ctx) {
-  // Grab the database and backup names out of the body, then use it to generate
-  // the key prefix to use for all files in the R2 bucket.
-  const { fromDatabase, name } = ctx.req.valid('json');
-  const keyPrefix = `${fromDatabase}/${name}`;
+ * The data of an incremental backup is shared with its base by key, so only a
+ * directory style backup can be a base. If the backup is not suitable or does
+ * not exist, a RequestError is thrown. */
+async function getBaseBackup(ctx, fromDatabase, name) {
+  if (isTarballName(name)) {
+    throw new RequestError(`backup '${name}' is a tarball; incremental backups need a directory style base`);
+  }
 
-  // Pull the database binding out of the context; if this does not match a
-  // know DB, generate an error.
-  const fromDb = ctx.env[fromDatabase];
-  if (fromDb === undefined) {
-    return fail(ctx, `no such bound database '${fromDatabase}'`);
+  const metaKey = `${fromDatabase}/${name}/metadata.json`;
+  const metadata = await r2FetchJSON(ctx, metaKey);
+  if (metadata === null) {
+    throw new RequestError(`metadata file '${metaKey}' not found`, 404);
   }
 
-  // Grab the metadata that describes all of the tables and their relationships
-  // with each other.
-  const metadata = await dbBkpGenerateMetaInfo(fromDb);
+  return { name, metadata };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the bound D1 instance of a database, a table entry from its metadata,
+ * the key to page from as returned by dbBkpGetTableContents(), the maximum
+ * number of rows to read and optionally the last key to read up to, read the
+ * next chunk of data for the table and return back an object of the form:
+ *     {
+ *         "json": "the JSON text of the rows",
+ *         "rows": 1234,
+ *         "size": 5678,
+ *         "sha256": "digest of the JSON text",
+ *         "next": the key to page from for the next chunk, or null,
+ *         "lastKey": the key of the last row read, or null
+ *     }
+ */
+async function readTableChunk(fromDb, table, after, chunkRows, until) {
+  const { rows, next, last } = await dbBkpGetTableContents(fromDb, table, after, chunkRows, until);
+  const json = JSON.stringify(rows);
+
+  return { json, rows: rows.length, size: encoder.encode(json).length, sha256: await sha256(json), next, lastKey: last };
+}
+
+
+/******************************************************************************/
 
-  // Write the various files out now
-  await r2StoreJson(ctx, `${keyPrefix}/metadata.json`, metadata);
 
-  // Set up a basic result to return back.
+/* Given the entry for a table in the metadata being captured and the entry for
+ * the same table in the base of an incremental backup, if any, return back the
+ * chunks of the base table whose key ranges the data of the table should be
+ * read in, so that rows that were inserted or deleted in one part of the table
+ * only change the chunks for that part.
+ *
+ * The key range of a chunk runs from just after the last key of the chunk
+ * before it up to and including its own. This is only possible when every
+ * chunk of the base recorded its last key, and the table is keyed the same way
+ * in both; otherwise the list is empty. */
+function getBaseKeyRanges(table, baseTable) {
+  if (baseTable === undefined || baseTable.withoutRowid !== table.withoutRowid ||
+      (table.withoutRowid === true && JSON.stringify(baseTable.primaryKey) !== JSON.stringify(table.primaryKey))) {
+    return [];
+  }
+
+  const chunks = getTableChunks(baseTable);
+  if (chunks.some(chunk => chunk.lastKey === undefined)) {
+    return [];
+  }
+
+  return chunks.filter(chunk => chunk.lastKey !== null);
+}
+
+
+/******************************************************************************/
+
+
+/* Perform a backup of the database whose bound D1 instance is fromDb as a
+ * collection of bare files in the R2 bucket; there will be a metadata.json file
+ * plus one or more files per table, all under the provided key prefix.
+ *
+ * The data of each table is paged out of the database chunkRows rows at a
+ * time, with each page being stored as a separate numbered chunk file, so that
+ * no table ever needs to be fully held in memory. Every table has at least one
+ * chunk, even if it is empty.
+ *
+ * As each table is written, the chunks are recorded into the table entry in
+ * the metadata as "chunks", each with the name of its file, the number of rows
+ * in it, the size and SHA-256 digest of the file and the key of its last row as
+ * "lastKey". The total number of rows and size of the table are recorded as
+ * "rows" and "size". This allows the backup to be verified, and so the
+ * metadata file is written last. The sizes are those of the data, regardless
+ * of how it is stored in the bucket.
+ *
+ * When compress is true, every object is stored gzip compressed; reading the
+ * objects back decompresses them again.
+ *
+ * When a base backup (as returned by getBaseBackup()) is provided, this is an
+ * incremental backup. The data of each table is read in the key ranges of the
+ * chunks of the base (see getBaseKeyRanges()), with a range that has grown
+ * past chunkRows rows split over more than one chunk, and the rows after the
+ * last range paged as usual. Any chunk whose data is identical to the chunk of
+ * the base for its range is not stored again, and its entry instead records
+ * the backup that holds the data as "backup"; since the base may itself be
+ * incremental, that is not always the base. When the base did not record its
+ * key ranges, chunks are instead compared with the chunk in the same position
+ * of the base, so an insert or delete early in the table changes every chunk
+ * after it.
+ *
+ * Chunks that are shared keep the file name that they have in the backup that
+ * holds them, so new chunk files are numbered around those names.
+ *
+ * The return value is an object that describes the backup that was made. */
+async function performBareFileDump(ctx, fromDb, baseKey, metadata, chunkRows, compress, base) {
+  // Set up a basic result to return back; the size is the total size of all of
+  // the objects written, as stored.
   const result = {
-    baseKey: keyPrefix,
+    baseKey,
+    size: 0,
     tables: []
   }
 
-  // For each table in the load order list, fetch the data and then write it out
-  // to a file in the DB.
+  // For each table in the load order list, fetch the data a page at a time and
+  // write each page out to a file in the bucket.
   for (const tableName of metadata.loadOrder) {
     const table = metadata.tables[tableName];
-    let data = await dbBkpGetTableContents(fromDb, table);
+    table.rows = 0;
+    table.size = 0;
+    table.chunks = [];
+
+    // The chunks of the same table in the base, if any, for comparison, and
+    // the key ranges to read the data in.
+    const baseTable = base?.metadata.tables[tableName];
+    const baseChunks = (baseTable !== undefined) ? getTableChunks(baseTable) : [];
+    const ranges = getBaseKeyRanges(table, baseTable);
+    const names = new Set(baseChunks.map(chunk => chunk.file));
+
+    // Add a chunk of data to the table; data that has not changed since the
+    // base is shared with it rather than being stored again.
+    const addChunk = async ({ json, rows, size, sha256: digest, lastKey }, shared) => {
+      if (shared?.sha256 === digest && shared.rows === rows) {
+        table.chunks.push({ file: shared.file, rows, size, sha256: digest, lastKey, backup: shared.backup ?? base.name });
+      } else {
+        let number = table.chunks.length;
+        while (names.has(`${tableName}.${number}.json`)) {
+          number++;
+        }
+
+        const file = `${tableName}.${number}.json`;
+        const object = await r2StoreText(ctx, `${baseKey}/${file}`, json, compress);
+        table.chunks.push({ file, rows, size, sha256: digest, lastKey });
+        names.add(file);
+        result.size += object.size;
+      }
+
+      table.rows += rows;
+      table.size += size;
+    };
+
+    // Read the rows in each key range of the base; only the first chunk of a
+    // range can match the chunk of the base, and a range that is now empty
+    // has no chunk at all.
+    let after = null;
+    for (const range of ranges) {
+      let shared = range;
+      do {
+        const chunk = await readTableChunk(fromDb, table, after, chunkRows, range.lastKey);
+        if (chunk.rows !== 0) {
+          await addChunk(chunk, shared);
+        }
+
+        shared = undefined;
+        after = chunk.next;
+      } while (after !== null);
+
+      after = range.lastKey;
+    }
+
+    // Page through whatever is left; without ranges this is the whole table,
+    // compared with the base by position.
+    do {
+      const chunk = await readTableChunk(fromDb, table, after, chunkRows);
+      if (chunk.rows !== 0 || table.chunks.length === 0) {
+        await addChunk(chunk, (ranges.length === 0) ? baseChunks[table.chunks.length] : undefined);
+      }
+
+      after = chunk.next;
+    } while (after !== null);
 
     // Add a record of data for this table to the eventual result.
-    result.tables.push({
-      name: table.name,
-      indexes: table.indexes.length,
-      rows: data.length,
-      columns: table.columns,
-    });
-
-    // Store the table data into the bucket.
-    await r2StoreJson(ctx, `${keyPrefix}/${tableName}.json`, data);
+    result.tables.push(tableResult(table));
+  }
+
+  // Now that all of the tables are described, write the metadata.
+  const metaObject = await r2StoreJson(ctx, `${baseKey}/metadata.json`, metadata, compress);
+  result.size += metaObject.size;
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Perform a backup of the database whose bound D1 instance is fromDb as a
+ * single tarball in the R2 bucket, optionally gzip compressed. The key of the
+ * tarball is the provided key, which is expected to already carry the
+ * appropriate extension.
+ *
+ * The members of the archive are laid out in the order that restores require;
+ * the metadata.json file comes first, followed by the chunk files of each
+ * table in the metadata load order.
+ *
+ * Since the metadata records the row count, size and digest of every chunk of
+ * data, it can't be written until all of the tables have been read; so the
+ * data is read through once to describe it without storing anything, and then
+ * read again chunk by chunk as the archive streams into the bucket. Each chunk
+ * is checked against its digest as it is read the second time, and if any of
+ * the data has changed in the meantime the backup fails rather than storing an
+ * archive that does not match its own metadata.
+ *
+ * The return value is an object that describes the backup that was made. */
+async function performTarDump(ctx, fromDb, tarKey, metadata, chunkRows, compress) {
+  const result = {
+    tarKey,
+    size: 0,
+    tables: []
+  };
+
+  // Describe the data of every table, remembering the key that each chunk was
+  // read from so that it can be read again.
+  const starts = new Map();
+  for (const tableName of metadata.loadOrder) {
+    const table = metadata.tables[tableName];
+    table.rows = 0;
+    table.size = 0;
+    table.chunks = [];
+
+    let after = null;
+    do {
+      const { rows, size, sha256: digest, next, lastKey } = await readTableChunk(fromDb, table, after, chunkRows);
+      const chunk = { file: `${tableName}.${table.chunks.length}.json`, rows, size, sha256: digest, lastKey };
+      starts.set(chunk, after);
+      table.chunks.push(chunk);
+
+      table.rows += rows;
+      table.size += size;
+
+      after = next;
+    } while (after !== null);
+
+    result.tables.push(tableResult(table));
+  }
+
+  // The members of the archive; the data of each chunk is read again only as
+  // the archive needs it.
+  async function* members() {
+    yield { name: 'metadata.json', data: JSON.stringify(metadata) };
+
+    for (const tableName of metadata.loadOrder) {
+      const table = metadata.tables[tableName];
+      for (const chunk of table.chunks) {
+        const { json, sha256: digest } = await readTableChunk(fromDb, table, starts.get(chunk), chunkRows);
+        if (digest !== chunk.sha256) {
+          throw new RequestError(`the data of table '${tableName}' changed while it was being backed up`, 409);
+        }
+
+        yield { name: chunk.file, data: json };
+      }
+    }
+  }
+
+  // Create the archive, compress it if required, and send it to the bucket.
+  let stream = createTarStream(members());
+  if (compress === true) {
+    stream = stream.pipeThrough(new CompressionStream('gzip'));
+  }
+
+  const contentType = compress ? 'application/gzip' : 'application/x-tar';
+  const object = await r2StoreStream(ctx, tarKey, stream, contentType);
+  result.size = object.size;
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Create a backup of the database whose bound D1 instance is fromDb, which is
+ * known by the name fromDatabase, using the given backup name and options:
+ *   - format: the format to create the backup in; defaults to 'files'
+ *   - chunkRows: the maximum number of rows in each table data chunk
+ *   - compress: for the files format, whether to gzip compress the objects
+ *   - base: for the files format, the name of a directory style backup of the
+ *     same database to make an incremental backup relative to
+ *   - tables, excludeTables, includeDependencies: the table selection; when
+ *     not provided, every table is backed up
+ *
+ * For tarball formats, the name is given an appropriate extension; the final
+ * name is what is recorded in the list of backups, so that it can be used as-is
+ * to restore the backup later.
+ *
+ * The metadata records the number of rows per chunk as "chunkRows", and for an
+ * incremental backup the name of its base as "base". An incremental backup
+ * uses the chunk size of its base, so that unchanged data lines up with the
+ * chunks of the base.
+ *
+ * The return value is an object that describes the backup that was made,
+ * including the final name of the backup. */
+export async function createDump(ctx, fromDb, fromDatabase, name, options) {
+  let { format, chunkRows, compress, base: baseName, ...selection } = {
+    format: 'files',
+    chunkRows: DEFAULT_CHUNK_ROWS,
+    compress: false,
+    ...options
+  };
+
+  // A backup that others are based on can't be replaced, since they share its
+  // data; only directory style backups can be a base.
+  const dependents = (format === 'files') ? await dbBkpGetDependents(ctx.env.sekurkopio, fromDatabase, name) : [];
+  if (dependents.length !== 0) {
+    throw new RequestError(`backup '${name}' for database '${fromDatabase}' is the base of other backups and can't be replaced`,
+                           409, { dependents: dependents.map(dependent => dependent.backupName) });
+  }
+
+  // For an incremental backup, load up the base; it can't be replaced by the
+  // backup that is based on it.
+  let base = null;
+  if (baseName !== undefined) {
+    if (baseName === name) {
+      throw new RequestError(`an incremental backup can't replace its own base '${baseName}'`);
+    }
+
+    base = await getBaseBackup(ctx, fromDatabase, baseName);
+    chunkRows = base.metadata.chunkRows ?? chunkRows;
+  }
+
+  // Grab the metadata that describes all of the tables and their relationships
+  // with each other, narrowed down to the tables being backed up.
+  const { metadata, added, skipped } = applyTableSelection(await dbBkpGenerateMetaInfo(fromDb), selection);
+  metadata.chunkRows = chunkRows;
+
+  // The data of a table is read in the order of its rowid, so a table whose
+  // columns hide every name for the rowid can't be backed up; refuse before
+  // anything is written.
+  const hidden = metadata.loadOrder.filter(name =>
+    metadata.tables[name].withoutRowid === false && dbBkpGetRowidName(metadata.tables[name]) === null);
+  if (hidden.length !== 0) {
+    throw new RequestError(`cannot back up tables with columns named rowid, _rowid_ and oid`, 400, { tables: hidden });
+  }
+
+  if (base !== null) {
+    metadata.base = base.name;
+  }
+
+  // Based on the format, perform the dump.
+  let result;
+  if (format === 'files') {
+    result = await performBareFileDump(ctx, fromDb, `${fromDatabase}/${name}`, metadata, chunkRows, compress, base);
+  } else {
+    name = `${name}.${format}`;
+    result = await performTarDump(ctx, fromDb, `${fromDatabase}/${name}`, metadata, chunkRows, format === 'tgz');
   }
 
   // If we get here, the backup succeeded, so make a record of it in the
   // database.
-  await dbBkpInsert(ctx.env.sekurkopio, fromDatabase, name);
+  const record = await dbBkpInsert(ctx.env.sekurkopio, fromDatabase, name, result.size, base?.name);
+
+  return { id: record.id, fromDatabase, name, format, compress, base: base?.name ?? null, dependenciesAdded: added, skipped, ...result };
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request for a DB dump; this will generate a metadata JSON file that
+ * describes all of the tables, plus one or more chunk files per table to
+ * contain the data for that table. All of the files will be sent to the R2
+ * BACKUP bucket using a key prefix that consists of the project name and a
+ * specified uniqueness key, which defaults to the current date and time if not
+ * specified.
+ *
+ * If a tarball format is requested, the same files are instead written as the
+ * members of a single (optionally compressed) tar archive.
+ *
+ * The metadata contains information on all tables, how to define them, what
+ * their indexes are, the names of their columns, as well as what order in which
+ * to insert them in order to not violate any key constraints. */
+export async function reqCreateDump(ctx) {
+  // Grab the database and backup names out of the body; everything else is an
+  // option for how to create the backup.
+  const { fromDatabase, name, ...options } = ctx.req.valid('json');
+
+  // Pull the database binding out of the context; if this does not match a
+  // know DB, generate an error.
+  const fromDb = ctx.env[fromDatabase];
+  if (fromDb === undefined) {
+    return fail(ctx, `no such bound database '${fromDatabase}'`);
+  }
+
+  // Create the dump.
+  const result = await createDump(ctx, fromDb, fromDatabase, name, options);
 
   // All Good.
-  return success(ctx, `created a dump of ${metadata.loadOrder.length} tables`, result);
+  return success(ctx, `created a dump of ${result.tables.length} tables`, result);
 }
 
 
@@ -0,0 +1,202 @@
+/******************************************************************************/
+
+
+import { fail } from '#requests/common';
+import { isTarballName, openBackup, readChunkData, STAGING_PREFIX } from '#requests/backup/common';
+
+import { r2StoreText, r2RawGet, r2ListPrefix, r2Delete } from '#r2';
+import { createTarStream } from '#tar';
+import { createTextStream } from '#stream';
+import { textValue } from '#values';
+
+
+/******************************************************************************/
+
+
+/* A text encoder used to find the size in bytes of the CSV text. */
+const encoder = new TextEncoder();
+
+
+/******************************************************************************/
+
+
+/* Given a value as stored in table data files, return back a CSV field for it;
+ * fields are quoted only when they need to be, and NULL is an empty field. */
+function csvField(value) {
+  const text = textValue(value);
+  if (text === null) {
+    return '';
+  }
+
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+/* Given a list of values, return back a CSV record for them, including the
+ * line ending. */
+const csvRecord = values => `${values.map(csvField).join(',')}\r\n`;
+
+
+/******************************************************************************/
+
+
+/* Given a table entry from the metadata of a backup, one of its chunk entries,
+ * the index of the chunk within the table and the data object for the chunk,
+ * return back the CSV text for the rows in the chunk; the first chunk of the
+ * table also has a header row with the names of the columns. */
+async function chunkCsv(table, chunk, index, data) {
+  const rows = await readChunkData(table, chunk, data);
+  const header = (index === 0) ? csvRecord(table.columns) : '';
+
+  return header + rows.map(csvRecord).join('');
+}
+
+
+/******************************************************************************/
+
+
+/* Given a list of R2 keys, yield the bytes of the objects with those keys, one
+ * after the other, streaming each from the bucket in turn. */
+async function* concatObjects(ctx, keys) {
+  for (const key of keys) {
+    const object = await r2RawGet(ctx, key);
+    if (object === null) {
+      throw new Error(`staged file '${key}' missing`);
+    }
+
+    yield* object.body;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a backup that was opened by openBackup(), create a CSV file for each of
+ * the tables in it, and return back a stream of a tarball that contains all of
+ * them, named for the tables, in load order. The tarball is gzip compressed if
+ * requested.
+ *
+ * Tar members need to know their size up front, so the CSV text of each chunk
+ * of data is first staged in the bucket under the given key prefix, which
+ * must be unique to this request; the CSV file of each table is then streamed
+ * from the staged files of its chunks. The staged files are removed once the
+ * tarball has been produced, if anything goes wrong, or if the stream is
+ * cancelled because the client went away before reading all of it. */
+async function createCsvArchive(ctx, backup, stagingKey, compress) {
+  const removeStaged = async () => {
+    const staged = await r2ListPrefix(ctx, `${stagingKey}/`);
+    await r2Delete(ctx, staged.map(object => object.key));
+  };
+
+  // Stage the CSV text of every chunk, keeping track of the files and total
+  // size of each table.
+  const tables = [];
+  try {
+    for await (const { table, chunk, index, data } of backup.members()) {
+      if (index === 0) {
+        tables.push({ name: `${table.name}.csv`, size: 0, keys: [] });
+      }
+
+      // The size is that of the text, since the stored object may not be the
+      // same size if it is encrypted.
+      const current = tables[tables.length - 1];
+      const key = `${stagingKey}/${table.name}.${index}.csv`;
+      const text = await chunkCsv(table, chunk, index, data);
+      await r2StoreText(ctx, key, text);
+
+      current.size += encoder.encode(text).length;
+      current.keys.push(key);
+    }
+  }
+  catch (err) {
+    await removeStaged();
+    throw err;
+  }
+
+  // The tarball is passed through a stream of our own, so that the staged
+  // files are removed however the stream ends, even if it is cancelled before
+  // the first member is read.
+  const tar = createTarStream(tables.map(({ name, size, keys }) =>
+    ({ name, size, body: concatObjects(ctx, keys) }))).getReader();
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await tar.read();
+        if (done === true) {
+          await removeStaged();
+          controller.close();
+          return;
+        }
+
+        controller.enqueue(value);
+      }
+      catch (err) {
+        await removeStaged();
+        throw err;
+      }
+    },
+
+    async cancel(reason) {
+      try {
+        await tar.cancel(reason);
+      }
+      finally {
+        await removeStaged();
+      }
+    }
+  });
+
+  return compress ? stream.pipeThrough(new CompressionStream('gzip')) : stream;
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request to export the data in a backup, either a directory style
+ * backup or a tarball, as CSV.
+ *
+ * In the csv format, the data of the single named table is streamed back as a
+ * CSV file, with a header row that has the names of the columns. In the tar
+ * and tgz formats, a tarball that contains one such CSV file for every table
+ * in the backup is streamed back instead.
+ *
+ * NULL values are empty fields and BLOB values are encoded as base64. */
+export async function reqBackupCsv(ctx) {
+  const { fromDatabase, name, table: tableName, format } = ctx.req.valid('json');
+
+  const backup = await openBackup(ctx, fromDatabase, name);
+  const baseName = isTarballName(name) ? name.slice(0, name.lastIndexOf('.')) : name;
+
+  if (format !== 'csv') {
+    const stagingKey = `${STAGING_PREFIX}csv/${fromDatabase}/${crypto.randomUUID()}`;
+    const stream = await createCsvArchive(ctx, backup, stagingKey, format === 'tgz');
+
+    return ctx.body(stream, 200, {
+      'Content-Type': format === 'tgz' ? 'application/gzip' : 'application/x-tar',
+      'Content-Disposition': `attachment; filename="${fromDatabase}-${baseName}-csv.${format}"`
+    });
+  }
+
+  // Table names are not case sensitive, so look the table up as such.
+  const found = backup.metadata.loadOrder.find(e => e.toUpperCase() === tableName.toUpperCase());
+  if (found === undefined) {
+    return fail(ctx, `backup '${name}' does not contain a table named '${tableName}'`, 404);
+  }
+
+  async function* lines() {
+    for await (const { table, chunk, index, data } of backup.members([found])) {
+      yield await chunkCsv(table, chunk, index, data);
+    }
+  }
+
+  return ctx.body(createTextStream(lines()), 200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fromDatabase}-${baseName}-${found}.csv"`
+  });
+}
+
+
+/******************************************************************************/
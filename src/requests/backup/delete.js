@@ -0,0 +1,50 @@
+/******************************************************************************/
+
+
+import { success, fail } from '#requests/common';
+import { getBackupKeys, getMissingBackupKeys, removeBackup } from '#requests/backup/common';
+
+import { dbBkpFind, dbBkpGetById } from '#db/backup';
+
+
+/******************************************************************************/
+
+
+/* Handle a request to delete a backup, which is specified either by its ID or
+ * by the name of the database it was made from and the backup name.
+ *
+ * This removes every object in the bucket that makes up the backup, and then
+ * the tracking record for it. If any of the objects that should be a part of
+ * the backup are missing, the request fails without removing anything unless
+ * it is forced.
+ *
+ * On success, the result is the record of the deleted backup, along with the
+ * keys that were removed from the bucket and any that were expected but
+ * missing. */
+export async function reqDeleteBackup(ctx) {
+  const { id, fromDatabase, name, force } = ctx.req.valid('json');
+
+  // Find the backup, using the ID if we were given one.
+  const backup = (id !== undefined)
+    ? await dbBkpGetById(ctx.env.sekurkopio, id)
+    : await dbBkpFind(ctx.env.sekurkopio, fromDatabase, name);
+  if (backup === null) {
+    const which = (id !== undefined) ? `with id ${id}` : `'${name}' for database '${fromDatabase}'`;
+    return fail(ctx, `no such backup ${which}`, 404);
+  }
+
+  // Gather the keys that make up the backup and determine if any are missing.
+  const keys = await getBackupKeys(ctx, backup.dbName, backup.backupName);
+  const missing = await getMissingBackupKeys(ctx, backup.dbName, backup.backupName, keys);
+
+  if (missing.length !== 0 && force === false) {
+    return fail(ctx, `backup '${backup.backupName}' for database '${backup.dbName}' is incomplete; use force to delete it anyway`, 409, { ...backup, keys, missing });
+  }
+
+  // Remove the objects and the tracking record.
+  const result = { ...await removeBackup(ctx, backup, keys), missing };
+  return success(ctx, `deleted backup '${backup.backupName}' (${keys.length} object(s))`, result);
+}
+
+
+/******************************************************************************/
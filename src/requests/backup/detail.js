@@ -0,0 +1,91 @@
+/******************************************************************************/
+
+
+import { success } from '#requests/common';
+import { isTarballName, openBackup, getTableChunks } from '#requests/backup/common';
+
+import { dbBkpFind } from '#db/backup';
+
+import { r2KeyExists, r2ListPrefix } from '#r2';
+
+
+/******************************************************************************/
+
+
+/* A text encoder used to determine the size in bytes of table data. */
+const encoder = new TextEncoder();
+
+
+/******************************************************************************/
+
+
+/* Handle a request for the details of a backup; this loads the metadata of the
+ * backup, whether it is a directory style backup or a tarball, and reports on
+ * every table within it, including its definition, indexes and foreign key
+ * constraints, as well as how many rows of data it has and the size in bytes
+ * of its data files.
+ *
+ * The row counts and sizes come from the metadata when it records them, which
+ * avoids having to read the data of the backup at all.
+ *
+ * The result also includes the load order of the tables and the total size of
+ * the backup in the bucket; for an incremental backup, this is only the size
+ * of the data that it does not share with other backups, and the result names
+ * the backup that it is based on. */
+export async function reqBackupDetail(ctx) {
+  const { fromDatabase, name } = ctx.req.valid('json');
+
+  const { key, metadata, members } = await openBackup(ctx, fromDatabase, name);
+  const record = await dbBkpFind(ctx.env.sekurkopio, fromDatabase, name);
+
+  // The total size of the backup is the size of the tarball, or the sum of the
+  // sizes of all of the objects in the directory.
+  const size = isTarballName(name)
+    ? (await r2KeyExists(ctx, key)).size
+    : (await r2ListPrefix(ctx, `${key}/`)).reduce((sum, object) => sum + object.size, 0);
+
+  // Gather the details on each table; the row count and size are recorded in
+  // the metadata, but backups made before that was the case require that we
+  // read the data for each table.
+  const describe = (table, rows, size) => ({
+    name: table.name,
+    sql: table.sql,
+    columns: table.columns,
+    indexes: table.indexes.map(({ name, sql }) => ({ name, sql })),
+    constraints: table.constraints,
+    rows,
+    size,
+    chunks: getTableChunks(table).length,
+  });
+
+  const tables = [];
+  if (metadata.loadOrder.every(name => metadata.tables[name].rows !== undefined)) {
+    metadata.loadOrder.forEach(name => {
+      const table = metadata.tables[name];
+      tables.push(describe(table, table.rows, table.size));
+    });
+  } else {
+    for await (const { table, data } of members()) {
+      const text = await data.text();
+      tables.push(describe(table, JSON.parse(text).length, encoder.encode(text).length));
+    }
+  }
+
+  const result = {
+    id: record?.id,
+    fromDatabase,
+    name,
+    key,
+    format: isTarballName(name) ? name.split('.').pop() : 'files',
+    size,
+    base: metadata.base ?? null,
+    loadOrder: metadata.loadOrder,
+    cycles: metadata.cycles ?? [],
+    tables,
+  };
+
+  return success(ctx, `backup '${name}' contains ${tables.length} table(s)`, result);
+}
+
+
+/******************************************************************************/
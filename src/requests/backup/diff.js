@@ -0,0 +1,265 @@
+/******************************************************************************/
+
+
+import { success } from '#requests/common';
+import { openBackup, getTableChunks, readChunkData } from '#requests/backup/common';
+
+import { diffMetadata } from '#diff';
+
+
+/******************************************************************************/
+
+
+/* Given the entries for the same table from the metadata of two backups,
+ * pair up the chunks of data that are known to be the same in both without
+ * needing to read them, which is the case when the columns are the same and
+ * the chunks have the same digest. Chunks are paired regardless of where they
+ * are in the table, and each chunk is paired at most once.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "unchanged": 1234,
+ *         "from": Set of the indexes of the unpaired chunks of the older table,
+ *         "to": Set of the indexes of the unpaired chunks of the newer table
+ *     }
+ *
+ * where unchanged is the number of rows in the paired chunks. */
+function pairChunks(fromTable, toTable) {
+  const fromChunks = getTableChunks(fromTable);
+  const toChunks = getTableChunks(toTable);
+  const result = { unchanged: 0, from: new Set(fromChunks.keys()), to: new Set(toChunks.keys()) };
+
+  if (JSON.stringify(fromTable.columns) !== JSON.stringify(toTable.columns)) {
+    return result;
+  }
+
+  // The indexes of the chunks of the older table, by digest.
+  const byDigest = new Map();
+  for (const [index, chunk] of fromChunks.entries()) {
+    if (chunk.sha256 !== undefined) {
+      byDigest.set(chunk.sha256, [...(byDigest.get(chunk.sha256) ?? []), index]);
+    }
+  }
+
+  for (const [index, chunk] of toChunks.entries()) {
+    const indexes = byDigest.get(chunk.sha256);
+    if (indexes !== undefined && indexes.length !== 0) {
+      result.from.delete(indexes.shift());
+      result.to.delete(index);
+      result.unchanged += chunk.rows;
+    }
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a backup that was opened by openBackup() and a Map whose keys are the
+ * names of tables in it and whose values are Sets of the indexes of chunks of
+ * those tables, yield every row of data in those chunks, in load order, as an
+ * object of the form:
+ *     {
+ *         "table": { the table entry from the metadata },
+ *         "row": [ ... ]
+ *     }
+ *
+ * The backup is only read through once; for a directory style backup only the
+ * data files of the chunks are fetched, while a tarball is read through to the
+ * end of the archive. */
+async function* readChunkRows(backup, chunks) {
+  if (chunks.size === 0) {
+    return;
+  }
+
+  for await (const { table, chunk, data } of backup.members(chunks)) {
+    for (const row of await readChunkData(table, chunk, data)) {
+      yield { table, row };
+    }
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given the entries for the same table from the metadata of two backups and
+ * the number of sample rows of each kind of change to report, return back an
+ * object that compares the data in the table between the two backups, of the
+ * form:
+ *     {
+ *         "from": Set of the indexes of the chunks of the older table to read,
+ *         "to": Set of the indexes of the chunks of the newer table to read,
+ *         "addBefore": function to call with each row of the older chunks,
+ *         "addAfter": function to call with each row of the newer chunks,
+ *         "finish": function that returns back the result
+ *     }
+ *
+ * The result describes how the data changed, including up to the given number
+ * of sample rows of each kind of change. Chunks that are the same in both are
+ * counted as unchanged without being read (see pairChunks()), so only the rows
+ * of the remaining chunks need to be passed in, all of the older ones before
+ * any of the newer ones.
+ *
+ * Only the columns that are in both versions of the table are compared. Rows
+ * are matched up by primary key when the table has the same primary key in
+ * both; a row whose key is in both but whose values differ is modified. When
+ * there is no such key, rows are matched by all of their values, so rows can
+ * only be inserted or deleted.
+ *
+ * The rows of the older chunks that were not paired are held in memory until
+ * they are matched by the newer ones. */
+function createTableDiff(fromTable, toTable, samples) {
+  const paired = pairChunks(fromTable, toTable);
+  const result = {
+    name: toTable.name,
+    keyed: false,
+    unchanged: paired.unchanged,
+    inserted: 0,
+    deleted: 0,
+    modified: 0,
+    samples: { inserted: [], deleted: [], modified: [] },
+  };
+
+  // Determine the columns to compare and where they are in each version, and
+  // how to get the key of a row out of the compared values.
+  const columns = fromTable.columns.filter(column => toTable.columns.includes(column));
+  const fromIndexes = columns.map(column => fromTable.columns.indexOf(column));
+  const toIndexes = columns.map(column => toTable.columns.indexOf(column));
+
+  const primaryKey = fromTable.primaryKey ?? [];
+  result.keyed = primaryKey.length !== 0 && JSON.stringify(primaryKey) === JSON.stringify(toTable.primaryKey ?? []);
+  const keyIndexes = result.keyed ? primaryKey.map(column => columns.indexOf(column)) : null;
+  const keyOf = values => JSON.stringify(result.keyed ? keyIndexes.map(i => values[i]) : values);
+
+  // Sample rows are reported as objects keyed by column name.
+  const asObject = (values, indexes) => Object.fromEntries(indexes.map(i => [columns[i], values[i]]));
+  const allIndexes = columns.map((_, i) => i);
+  const addSample = (kind, sample) => {
+    if (result.samples[kind].length < samples) {
+      result.samples[kind].push(sample);
+    }
+  };
+
+  // The rows of the older version; rows that are the same could appear more
+  // than once when there is no key.
+  const before = new Map();
+
+  const addBefore = row => {
+    const values = fromIndexes.map(i => row[i]);
+    const key = keyOf(values);
+    const entry = before.get(key);
+    if (entry !== undefined) {
+      entry.count++;
+    } else {
+      before.set(key, { values, count: 1 });
+    }
+  };
+
+  // Match up each row of the newer version with the older one.
+  const addAfter = row => {
+    const values = toIndexes.map(i => row[i]);
+    const key = keyOf(values);
+    const entry = before.get(key);
+
+    if (entry === undefined) {
+      result.inserted++;
+      addSample('inserted', asObject(values, allIndexes));
+      return;
+    }
+
+    const changed = allIndexes.filter(i => JSON.stringify(entry.values[i]) !== JSON.stringify(values[i]));
+    if (changed.length === 0) {
+      result.unchanged++;
+    } else {
+      result.modified++;
+      addSample('modified', {
+        key: asObject(values, keyIndexes),
+        changes: Object.fromEntries(changed.map(i => [columns[i], { from: entry.values[i], to: values[i] }])),
+      });
+    }
+
+    if (--entry.count === 0) {
+      before.delete(key);
+    }
+  };
+
+  // Anything left over from the older version is gone from the newer one.
+  const finish = () => {
+    for (const { values, count } of before.values()) {
+      result.deleted += count;
+      addSample('deleted', asObject(values, allIndexes));
+    }
+    before.clear();
+
+    return result;
+  };
+
+  return { from: paired.from, to: paired.to, addBefore, addAfter, finish };
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request to compare two backups of the same database, either of
+ * which can be a directory style backup or a tarball; from is taken as the
+ * older of the two, and to as the newer.
+ *
+ * The structure of the databases is compared using the metadata of the
+ * backups; this reports the tables, views and triggers that were added,
+ * removed or changed, and for each table that changed, how its definition,
+ * columns, primary key, indexes and foreign keys changed.
+ *
+ * Unless turned off, the data of every table that is in both backups is also
+ * compared, reporting how many rows were inserted, deleted, modified or left
+ * unchanged, along with up to the requested number of sample rows of each.
+ * Data files that are the same in both backups, which is known when they have
+ * the same digests, are not read at all; each backup is read through only
+ * once for the rest, the older one and then the newer one. */
+export async function reqDiffBackups(ctx) {
+  const { fromDatabase, from, to, compareData, samples } = ctx.req.valid('json');
+
+  const fromBackup = await openBackup(ctx, fromDatabase, from);
+  const toBackup = await openBackup(ctx, fromDatabase, to);
+
+  const { common, ...schema } = diffMetadata(fromBackup.metadata, toBackup.metadata);
+
+  const data = [];
+  if (compareData === true) {
+    const diffs = common.map(({ from: fromTable, to: toTable }) => createTableDiff(fromTable, toTable, samples));
+
+    // Read the chunks that could not be paired up, from each backup in turn;
+    // the diffs are looked up by the name of the table in each backup.
+    const fromDiffs = new Map(common.map(({ from: fromTable }, i) => [fromTable.name, diffs[i]]));
+    const toDiffs = new Map(common.map(({ to: toTable }, i) => [toTable.name, diffs[i]]));
+    const chunksOf = (tableDiffs, side) => new Map([...tableDiffs].map(([name, diff]) => [name, diff[side]])
+      .filter(([, chunks]) => chunks.size !== 0));
+
+    for await (const { table, row } of readChunkRows(fromBackup, chunksOf(fromDiffs, 'from'))) {
+      fromDiffs.get(table.name).addBefore(row);
+    }
+    for await (const { table, row } of readChunkRows(toBackup, chunksOf(toDiffs, 'to'))) {
+      toDiffs.get(table.name).addAfter(row);
+    }
+
+    data.push(...diffs.map(diff => diff.finish()));
+  }
+
+  const changedData = data.filter(table => table.inserted + table.deleted + table.modified !== 0);
+  const schemaChanges = ['tables', 'views', 'triggers'].reduce((sum, key) =>
+    sum + schema[key].added.length + schema[key].removed.length + schema[key].changed.length, 0);
+
+  return success(ctx, `${schemaChanges} schema change(s); ${changedData.length} table(s) with changed data`, {
+    fromDatabase,
+    from,
+    to,
+    ...schema,
+    data,
+  });
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,52 @@
+/******************************************************************************/
+
+
+import { fail } from '#requests/common';
+import { isTarballName, getDirectoryTarMembers } from '#requests/backup/common';
+
+import { r2FetchJSON, r2RawGet } from '#r2';
+import { createTarStream } from '#tar';
+
+
+/******************************************************************************/
+
+
+/* Handles a request to download a backup as a single archive.
+ *
+ * A tarball backup is already a single archive, so the object is streamed back
+ * directly as-is. A directory style backup is streamed back as a gzipped
+ * tarball that is assembled on the fly from the objects in the bucket, with
+ * the members in the same order as in a tarball backup, so the download can be
+ * uploaded again or restored as a tarball. */
+export async function reqDownloadBackup(ctx) {
+  const { fromDatabase, name } = ctx.req.valid('json');
+  const key = `${fromDatabase}/${name}`;
+
+  if (isTarballName(name)) {
+    const tarball = await r2RawGet(ctx, key);
+    if (tarball === null) {
+      return fail(ctx, `file '${key}' not found`, 404);
+    }
+
+    return ctx.body(tarball.body, 200, {
+      'Content-Type': name.endsWith('.tgz') ? 'application/gzip' : 'application/x-tar',
+      'Content-Length': `${tarball.size}`,
+      'Content-Disposition': `attachment; filename="${fromDatabase}-${name}"`
+    });
+  }
+
+  const metaKey = `${key}/metadata.json`;
+  const metadata = await r2FetchJSON(ctx, metaKey);
+  if (metadata === null) {
+    return fail(ctx, `metadata file '${metaKey}' not found`, 404);
+  }
+
+  const stream = createTarStream(getDirectoryTarMembers(ctx, key, metadata));
+  return ctx.body(stream.pipeThrough(new CompressionStream('gzip')), 200, {
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="${fromDatabase}-${name}.tgz"`
+  });
+}
+
+
+/******************************************************************************/
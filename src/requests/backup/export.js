@@ -0,0 +1,119 @@
+/******************************************************************************/
+
+
+import { success } from '#requests/common';
+import { isTarballName, openBackup, validateBackup, applyTableSelection, readChunkData } from '#requests/backup/common';
+
+import { quoteIdentifier } from '#db/common';
+
+import { r2StoreStream } from '#r2';
+import { createTextStream } from '#stream';
+import { sqlLiteral } from '#values';
+
+
+/******************************************************************************/
+
+
+/* Given a backup that was opened by openBackup() and its metadata (which may
+ * have been narrowed down to a selection of tables), yield the lines of a SQL
+ * dump that recreates the tables and their data.
+ *
+ * The dump is laid out the way that sqlite3 lays out its own dumps; each table
+ * is created and then its data inserted, in load order, followed by all of the
+ * indexes, the AUTOINCREMENT counters, and then the views and triggers.
+ *
+ * The dump does not use an explicit transaction, which D1 does not allow, and
+ * instead defers foreign key checks so that tables in a foreign key cycle can
+ * be loaded. The result can be loaded by both sqlite3 and wrangler. */
+async function* sqlDumpLines(ctx, backup, metadata) {
+  yield `-- Sekurkopio backup '${backup.key}'\n`;
+  yield `PRAGMA defer_foreign_keys = on;\n`;
+
+  // Create each table and then insert all of its data.
+  for await (const { table, chunk, index, data } of backup.members(metadata.loadOrder)) {
+    const insert = `INSERT INTO ${quoteIdentifier(table.name)} (${table.columns.map(quoteIdentifier).join(', ')})`;
+    if (index === 0) {
+      yield `${table.sql};\n`;
+    }
+
+    const rows = await readChunkData(table, chunk, data);
+    yield rows.map(row => `${insert} VALUES (${row.map(sqlLiteral).join(', ')});\n`).join('');
+  }
+
+  // The indexes are created once the data is in place, which is faster than
+  // maintaining them while inserting.
+  for (const name of metadata.loadOrder) {
+    for (const index of metadata.tables[name].indexes) {
+      yield `${index.sql};\n`;
+    }
+  }
+
+  // Inserting the data updates the AUTOINCREMENT counters, so replace them
+  // with the values they had when the backup was made.
+  for (const name of metadata.loadOrder) {
+    const { sequence } = metadata.tables[name];
+    if (sequence !== undefined) {
+      yield `DELETE FROM sqlite_sequence WHERE name = ${sqlLiteral(name)};\n`;
+      yield `INSERT INTO sqlite_sequence (name, seq) VALUES (${sqlLiteral(name)}, ${sqlLiteral(sequence)});\n`;
+    }
+  }
+
+  for (const object of [...(metadata.views ?? []), ...(metadata.triggers ?? [])]) {
+    yield `${object.sql};\n`;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request to export an existing backup, either a directory style
+ * backup or a tarball, as a standard SQL dump file; see sqlDumpLines().
+ *
+ * By default the dump is streamed back as the response to the request. If
+ * store is set, the dump is instead written to the bucket next to the backup,
+ * using the full name of the backup with a '.sql' extension added; it is then
+ * a part of the backup, and is removed along with it.
+ *
+ * The whole backup is read through and validated before the dump starts, so
+ * that a problem with the data fails the request instead of cutting the dump
+ * short partway through the response.
+ *
+ * By default every table in the backup is exported, but a subset can be
+ * selected; the selection must include all of the tables that the selected
+ * tables depend on. */
+export async function reqExportBackup(ctx) {
+  const { fromDatabase, name, store, ...selection } = ctx.req.valid('json');
+
+  // Make sure the backup is good, then open it and narrow it down to the
+  // selected tables.
+  await validateBackup(ctx, fromDatabase, name);
+  const backup = await openBackup(ctx, fromDatabase, name);
+  const { metadata, skipped } = applyTableSelection(backup.metadata, selection);
+
+  const baseName = isTarballName(name) ? name.slice(0, name.lastIndexOf('.')) : name;
+  const stream = createTextStream(sqlDumpLines(ctx, backup, metadata));
+
+  // Unless asked to store the dump, stream it directly back.
+  if (store === false) {
+    return ctx.body(stream, 200, {
+      'Content-Type': 'application/sql',
+      'Content-Disposition': `attachment; filename="${fromDatabase}-${baseName}.sql"`
+    });
+  }
+
+  const key = `${fromDatabase}/${name}.sql`;
+  const object = await r2StoreStream(ctx, key, stream, 'application/sql');
+
+  return success(ctx, `exported ${metadata.loadOrder.length} table(s) to '${key}'`, {
+    fromDatabase,
+    name,
+    key,
+    size: object.size,
+    tables: metadata.loadOrder,
+    skipped,
+  });
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,343 @@
+/******************************************************************************/
+
+
+import { success, fail, RequestError } from '#requests/common';
+import { dropTables, MAX_BATCH_STATEMENTS, MAX_BATCH_BYTES, STAGING_PREFIX } from '#requests/backup/common';
+
+import { getDBResult } from '#db/common';
+import { dbBkpGetTableList, dbBkpGetViewsAndTriggers, dbBkpGenerateMetaInfo } from '#db/backup';
+
+import { r2RawGet, r2StoreStream, r2Delete } from '#r2';
+import { splitStatements, parseStatement } from '#sql';
+
+import { generateKey } from '#schema/backup';
+
+
+/******************************************************************************/
+
+
+/* Statements in a SQL dump that are not executed during an import; D1 does
+ * not allow explicit transactions, and foreign key checks are always deferred
+ * while importing. */
+const SKIPPED_STATEMENTS = /^(?:BEGIN|COMMIT|END|ROLLBACK)\b|^PRAGMA\s+(?:foreign_keys|defer_foreign_keys)\b/i;
+
+/* The keys in the result of an import that list the objects of each type that
+ * were created. */
+const CREATED_KEYS = { table: 'tables', index: 'indexes', view: 'views', trigger: 'triggers' };
+
+
+/******************************************************************************/
+
+
+/* Given an R2 key for a SQL dump file, return back an async iterator that
+ * yields the statements in it as in splitStatements(), streaming the file
+ * from the bucket.
+ *
+ * If there is no such file, a RequestError is thrown. */
+async function getDumpStatements(ctx, key) {
+  const object = await r2RawGet(ctx, key);
+  if (object === null) {
+    throw new RequestError(`SQL dump file '${key}' not found`, 404);
+  }
+
+  return splitStatements(object.body.pipeThrough(new TextDecoderStream()));
+}
+
+
+/******************************************************************************/
+
+
+/* Given a database and the R2 key of a SQL dump, find all of the tables, views
+ * and triggers that the dump creates and that already exist in the database,
+ * and count the statements that insert data into each of the tables that the
+ * dump creates.
+ *
+ * For an import in fail mode none of the objects can exist, and a RequestError
+ * is thrown if any do.
+ *
+ * The return value is an object of the form:
+ *     {
+ *         "existing": { "tables": [], "views": [], "triggers": [] },
+ *         "inserts": Map of the upper cased names of tables to a count
+ *     }
+ *
+ * The existing lists name the existing objects, in the order that the dump
+ * creates them; the lists could be empty. */
+async function scanDump(ctx, db, key, mode) {
+  // SQLite names are not case sensitive, so compare them as such.
+  const { views, triggers } = await dbBkpGetViewsAndTriggers(db);
+  const current = {
+    table: Object.keys(await dbBkpGetTableList(db)),
+    view: views.map(e => e.name),
+    trigger: triggers.map(e => e.name),
+  };
+  Object.keys(current).forEach(type => current[type] = new Set(current[type].map(name => name.toUpperCase())));
+
+  const existing = { tables: [], views: [], triggers: [] };
+  const inserts = new Map();
+  const created = new Set();
+  for await (const sql of await getDumpStatements(ctx, key)) {
+    const info = parseStatement(sql);
+    if (current[info?.type]?.has(info.name.toUpperCase())) {
+      existing[CREATED_KEYS[info.type]].push(info.name);
+    }
+
+    if (info?.type === 'table') {
+      created.add(info.name.toUpperCase());
+    } else if (info?.type === 'insert') {
+      inserts.set(info.name.toUpperCase(), (inserts.get(info.name.toUpperCase()) ?? 0) + 1);
+    }
+  }
+
+  const count = existing.tables.length + existing.views.length + existing.triggers.length;
+  if (mode === 'fail' && count !== 0) {
+    throw new RequestError(`cannot import; objects created by the dump already exist`, 400, existing);
+  }
+
+  // Only the data of the tables that the dump creates is put in order.
+  [...inserts.keys()].filter(name => created.has(name) === false).forEach(name => inserts.delete(name));
+
+  return { existing, inserts };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a database into which the tables of a SQL dump have been created and
+ * the counts of the statements that insert data into them as returned by
+ * scanDump(), return back a function to call before each read through the
+ * dump. It returns a function which is given the table name of each statement
+ * that inserts into one of those tables, and decides whether the statement
+ * should be executed in this read.
+ *
+ * Within a read, every insert of a table is executed if, when the first insert
+ * of that table is seen, all of the tables that it refers to that come before
+ * it in the load order have had all of their data inserted; the inserts that
+ * are executed are removed from the counts. The next read picks up where the
+ * last left off, and every read completes at least one table, so the data is
+ * inserted in the load order no matter what order the dump has it in.
+ *
+ * Tables in a foreign key cycle do not wait for the tables in the cycle that
+ * come after them. */
+async function getInsertOrder(db, inserts) {
+  const { loadOrder, tables } = await dbBkpGenerateMetaInfo(db);
+  const position = new Map(loadOrder.map((name, i) => [name.toUpperCase(), i]));
+
+  // The tables that each table has to wait for.
+  const parents = new Map(loadOrder.map(name => [name.toUpperCase(), [...new Set(tables[name].constraints
+    .map(constraint => constraint.table.toUpperCase())
+    .filter(parent => position.get(parent) < position.get(name.toUpperCase())))]]));
+
+  return () => {
+    const decided = new Map();
+    return name => {
+      name = name.toUpperCase();
+      if (decided.has(name) === false) {
+        decided.set(name, (parents.get(name) ?? []).every(parent => inserts.has(parent) === false));
+      }
+      if (decided.get(name) === false) {
+        return false;
+      }
+
+      inserts.set(name, inserts.get(name) - 1);
+      if (inserts.get(name) === 0) {
+        inserts.delete(name);
+      }
+      return true;
+    };
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Import the SQL dump stored in the R2 bucket under the given key into the
+ * database known as toDatabase, whose bound D1 instance is dbHandle.
+ *
+ * The dump is read through once first to verify that the database is in a
+ * state that allows for the import; the mode works the same as for a restore,
+ * except that a data only import is not possible. In replace mode, all of the
+ * existing tables, views and triggers that the dump creates are dropped.
+ *
+ * The statements in the dump are executed in batches that stay under the batch
+ * limits. Foreign key checks can only be deferred until the end of a batch,
+ * and a dump does not always have the data of its tables in an order that
+ * satisfies them, so the dump is read through several more times:
+ *   - once to create the tables
+ *   - as many times as it takes to insert the data of the tables in their load
+ *     order; see getInsertOrder()
+ *   - once for everything else, in the order of the dump
+ *
+ * Statements that control transactions or foreign key checks are skipped,
+ * since D1 does not allow them.
+ *
+ * If there is any error while executing the statements, the database is left
+ * as-is, and a RequestError is thrown that carries the progress so far.
+ *
+ * The return value is an object that describes the import, including a count
+ * of the statements that inserted data into each table and how many rows they
+ * inserted. */
+async function performImport(ctx, toDatabase, dbHandle, key, mode) {
+  const { existing, inserts } = await scanDump(ctx, dbHandle, key, mode);
+  if (mode === 'replace') {
+    await dropTables(ctx, dbHandle, existing.tables, existing.views, existing.triggers);
+  }
+
+  const result = {
+    toDatabase,
+    key,
+    mode,
+    replaced: mode === 'replace' ? existing : { tables: [], views: [], triggers: [] },
+    statements: 0,
+    skipped: 0,
+    created: { tables: [], indexes: [], views: [], triggers: [] },
+    tables: [],
+  };
+
+  // Track the data inserted into each table; tables are looked up without
+  // regard to case.
+  const tables = {};
+  const getTable = name => {
+    if (tables[name.toUpperCase()] === undefined) {
+      tables[name.toUpperCase()] = { name, statements: 0, rows: 0 };
+      result.tables.push(tables[name.toUpperCase()]);
+    }
+    return tables[name.toUpperCase()];
+  };
+
+  // Execute a batch of statements, recording what each one did.
+  const runBatch = async batch => {
+    const importBatch = batch.map(e => dbHandle.prepare(e.sql));
+    importBatch.unshift(dbHandle.prepare(`PRAGMA defer_foreign_keys = on`));
+
+    let results;
+    try {
+      results = await dbHandle.batch(importBatch);
+    }
+    catch (err) {
+      throw new RequestError(`import failed after ${result.statements} statements: ${err.message}`, 500, result);
+    }
+    getDBResult('performImport', 'import_batch', results);
+
+    batch.forEach(({ info }, i) => {
+      if (info?.type === 'insert') {
+        const table = getTable(info.name);
+        table.statements++;
+        table.rows += results[i + 1].meta.changes ?? 0;
+      } else if (info !== null) {
+        result.created[CREATED_KEYS[info.type]].push(info.name);
+        if (info.type === 'table') {
+          getTable(info.name);
+        }
+      }
+    });
+    result.statements += batch.length;
+  };
+
+  // Read through the dump and execute the statements that the given function
+  // selects; skipped statements are only counted on the last read.
+  const runStatements = async (wanted, last) => {
+    let batch = [];
+    let batchBytes = 0;
+    for await (const sql of await getDumpStatements(ctx, key)) {
+      if (SKIPPED_STATEMENTS.test(sql)) {
+        result.skipped += last ? 1 : 0;
+        continue;
+      }
+
+      const info = parseStatement(sql);
+      if (wanted(info) === false) {
+        continue;
+      }
+
+      if (batch.length !== 0 && (batch.length === MAX_BATCH_STATEMENTS || batchBytes + sql.length > MAX_BATCH_BYTES)) {
+        await runBatch(batch);
+        batch = [];
+        batchBytes = 0;
+      }
+
+      batch.push({ sql, info });
+      batchBytes += sql.length;
+    }
+
+    if (batch.length !== 0) {
+      await runBatch(batch);
+    }
+  };
+
+  // Data for the tables that the dump creates is inserted in load order, and
+  // everything else in the order of the dump.
+  const isData = info => info?.type === 'insert' && inserts.has(info.name.toUpperCase());
+  const dataTables = new Set(inserts.keys());
+
+  await runStatements(info => info?.type === 'table', false);
+
+  const insertOrder = await getInsertOrder(dbHandle, inserts);
+  while (inserts.size !== 0) {
+    const now = insertOrder();
+    await runStatements(info => isData(info) && now(info.name), false);
+  }
+
+  await runStatements(info => info?.type !== 'table' &&
+    (info?.type !== 'insert' || dataTables.has(info.name.toUpperCase()) === false), true);
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request to import a SQL dump that is stored in the R2 bucket into
+ * a database; this can be a dump made by sqlite3, wrangler, or by exporting a
+ * backup. */
+export async function reqImportDump(ctx) {
+  const { toDatabase, key, mode } = ctx.req.valid('json');
+
+  // Pull the destination database binding out of the context; if this does not
+  // match a know DB, generate an error.
+  const dbHandle = ctx.env[toDatabase];
+  if (dbHandle === undefined) {
+    return fail(ctx, `no such bound database '${toDatabase}'`);
+  }
+
+  const result = await performImport(ctx, toDatabase, dbHandle, key, mode);
+  return success(ctx, `imported ${result.statements} statement(s) into '${toDatabase}'`, result);
+}
+
+
+/******************************************************************************/
+
+
+/* Handles a request to import a SQL dump that is uploaded as the body of the
+ * request into a database.
+ *
+ * The import needs to read the dump twice, so the upload is first stored in
+ * the bucket, and then removed once the import is finished. */
+export async function reqImportUpload(ctx) {
+  const { toDatabase, mode } = ctx.req.valid('query');
+
+  const dbHandle = ctx.env[toDatabase];
+  if (dbHandle === undefined) {
+    return fail(ctx, `no such bound database '${toDatabase}'`);
+  }
+  if (ctx.req.raw.body === null) {
+    return fail(ctx, `no SQL dump was uploaded`);
+  }
+
+  const key = `${STAGING_PREFIX}import/${toDatabase}/${generateKey()}.sql`;
+  await r2StoreStream(ctx, key, ctx.req.raw.body, 'application/sql');
+
+  try {
+    const result = await performImport(ctx, toDatabase, dbHandle, key, mode);
+    return success(ctx, `imported ${result.statements} statement(s) into '${toDatabase}'`, result);
+  }
+  finally {
+    await r2Delete(ctx, [key]);
+  }
+}
+
+
+/******************************************************************************/
@@ -8,8 +8,26 @@ import { wrappedRequest as _, validate } from '#requests/common';
 import { reqCreateDump } from '#requests/backup/create';
 import { reqRestoreDump } from '#requests/backup/restore';
 import { reqDumpList } from '#requests/backup/list';
-
-import { BackupCreateSchema, BackupRestoreSchema } from '#schema/backup'
+import { reqPinBackup } from '#requests/backup/pin';
+import { reqPruneBackups } from '#requests/backup/prune';
+import { reqDeleteBackup } from '#requests/backup/delete';
+import { reqBackupDetail } from '#requests/backup/detail';
+import { reqVerifyBackup } from '#requests/backup/verify';
+import { reqExportBackup } from '#requests/backup/export';
+import { reqImportDump, reqImportUpload } from '#requests/backup/import';
+import { reqBackupCsv } from '#requests/backup/csv';
+import { reqDownloadBackup } from '#requests/backup/download';
+import { reqUploadBackup } from '#requests/backup/upload';
+import { reqConvertBackup } from '#requests/backup/convert';
+import { reqRekeyBackups } from '#requests/backup/rekey';
+import { reqDiffBackups } from '#requests/backup/diff';
+
+import { BackupCreateSchema, BackupRestoreSchema, BackupPinSchema,
+         BackupPruneSchema, BackupDeleteSchema,
+         BackupSelectSchema, BackupExportSchema, BackupImportSchema,
+         BackupImportUploadSchema, BackupCsvSchema,
+         BackupUploadSchema, BackupConvertSchema,
+         BackupRekeySchema, BackupDiffSchema } from '#schema/backup'
 
 /******************************************************************************/
 
@@ -23,6 +41,36 @@ backup.get('/list',
         ctx => _(ctx, reqDumpList));
 
 
+backup.get('/detail',
+        validate('json', BackupSelectSchema),
+        ctx => _(ctx, reqBackupDetail));
+
+
+backup.get('/verify',
+        validate('json', BackupSelectSchema),
+        ctx => _(ctx, reqVerifyBackup));
+
+
+backup.get('/diff',
+        validate('json', BackupDiffSchema),
+        ctx => _(ctx, reqDiffBackups));
+
+
+backup.get('/download',
+        validate('json', BackupSelectSchema),
+        ctx => _(ctx, reqDownloadBackup));
+
+
+backup.get('/export',
+        validate('json', BackupExportSchema),
+        ctx => _(ctx, reqExportBackup));
+
+
+backup.get('/csv',
+        validate('json', BackupCsvSchema),
+        ctx => _(ctx, reqBackupCsv));
+
+
 backup.get('/create',
         validate('json', BackupCreateSchema),
         ctx => _(ctx, reqCreateDump));
@@ -33,4 +81,44 @@ backup.put('/restore',
         ctx => _(ctx, reqRestoreDump));
 
 
+backup.put('/upload',
+        validate('query', BackupUploadSchema),
+        ctx => _(ctx, reqUploadBackup));
+
+
+backup.put('/import',
+        validate('json', BackupImportSchema),
+        ctx => _(ctx, reqImportDump));
+
+
+backup.put('/import/upload',
+        validate('query', BackupImportUploadSchema),
+        ctx => _(ctx, reqImportUpload));
+
+
+backup.put('/convert',
+        validate('json', BackupConvertSchema),
+        ctx => _(ctx, reqConvertBackup));
+
+
+backup.put('/rekey',
+        validate('json', BackupRekeySchema),
+        ctx => _(ctx, reqRekeyBackups));
+
+
+backup.put('/pin',
+        validate('json', BackupPinSchema),
+        ctx => _(ctx, reqPinBackup));
+
+
+backup.put('/prune',
+        validate('json', BackupPruneSchema),
+        ctx => _(ctx, reqPruneBackups));
+
+
+backup.delete('/delete',
+        validate('json', BackupDeleteSchema),
+        ctx => _(ctx, reqDeleteBackup));
+
+
 /******************************************************************************/
@@ -0,0 +1,27 @@
+/******************************************************************************/
+
+
+import { success, fail } from '#requests/common';
+
+import { dbBkpFind, dbBkpSetPinned } from '#db/backup';
+
+
+/******************************************************************************/
+
+
+/* Handle a request to pin or unpin a backup; pinned backups are never removed
+ * when backups are pruned. */
+export async function reqPinBackup(ctx) {
+  const { fromDatabase, name, isPinned } = ctx.req.valid('json');
+
+  const backup = await dbBkpFind(ctx.env.sekurkopio, fromDatabase, name);
+  if (backup === null) {
+    return fail(ctx, `no such backup '${name}' for database '${fromDatabase}'`, 404);
+  }
+
+  await dbBkpSetPinned(ctx.env.sekurkopio, backup.id, isPinned);
+  return success(ctx, `backup ${isPinned ? 'pinned' : 'unpinned'}`, { ...backup, isPinned });
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,74 @@
+/******************************************************************************/
+
+
+import { success, fail } from '#requests/common';
+import { removeBackup } from '#requests/backup/common';
+
+import { dbBkpGetList } from '#db/backup';
+import { dbRetGetPolicy } from '#db/retention';
+
+import { applyRetention } from '#retention';
+
+
+/******************************************************************************/
+
+
+/* Prune the backups of the database with the given name according to the
+ * retention policy that applies to it. When dryRun is true, nothing is removed
+ * and the result is only a preview of what would be pruned.
+ *
+ * The return value is null if there is no retention policy that applies to the
+ * database; otherwise it is an object that contains the policy used, the lists
+ * of backups that were kept (with the reasons why) and pruned, and the total
+ * size of each list. */
+export async function pruneBackups(ctx, dbName, dryRun) {
+  const policy = await dbRetGetPolicy(ctx.env.sekurkopio, dbName);
+  if (policy === null) {
+    return null;
+  }
+
+  // Determine what to keep and what to prune.
+  const backups = await dbBkpGetList(ctx.env.sekurkopio, dbName);
+  const { keep, prune } = applyRetention(backups, policy);
+
+  // Unless this is a dry run, remove every backup that is being pruned; this
+  // removes all of the objects in the bucket and then the tracking record. The
+  // newest are removed first, so incremental backups go before their bases.
+  const pruned = [];
+  for (const backup of prune) {
+    pruned.push(dryRun ? backup : await removeBackup(ctx, backup));
+  }
+
+  const totalSize = list => list.reduce((sum, backup) => sum + backup.size, 0);
+  return {
+    dbName,
+    dryRun,
+    policy,
+    keptSize: totalSize(keep),
+    prunedSize: totalSize(pruned),
+    kept: keep,
+    pruned,
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Handle a request to prune the backups of a database according to its
+ * retention policy. Unless the request explicitly turns off the dry run, this
+ * only reports on what would be pruned without removing anything. */
+export async function reqPruneBackups(ctx) {
+  const { fromDatabase, dryRun } = ctx.req.valid('json');
+
+  const result = await pruneBackups(ctx, fromDatabase, dryRun);
+  if (result === null) {
+    return fail(ctx, `no retention policy applies to database '${fromDatabase}'`);
+  }
+
+  const action = dryRun ? 'would prune' : 'pruned';
+  return success(ctx, `${action} ${result.pruned.length} of ${result.pruned.length + result.kept.length} backup(s)`, result);
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,56 @@
+/******************************************************************************/
+
+
+import { success, fail } from '#requests/common';
+import { getBackupKeys, STAGING_PREFIX } from '#requests/backup/common';
+
+import { r2ListPrefix, r2Reencrypt } from '#r2';
+import { getEncryptionKey } from '#encryption';
+
+
+/******************************************************************************/
+
+
+/* Handles a request to rotate the encryption key of the objects in the bucket;
+ * every object that is not encrypted with the key that is currently configured
+ * is decrypted and encrypted again with that key, including objects that were
+ * stored before encryption was turned on.
+ *
+ * By default every object in the bucket is checked, but this can be narrowed
+ * down to the backups of a single database, or to a single backup, so that the
+ * work can be spread over several requests.
+ *
+ * Once everything has been encrypted again, keys that are no longer in use can
+ * be removed from the configuration. */
+export async function reqRekeyBackups(ctx) {
+  const { fromDatabase, name } = ctx.req.valid('json');
+
+  const encryptionKey = await getEncryptionKey(ctx.env);
+  if (encryptionKey === null) {
+    return fail(ctx, `no encryption key is configured`);
+  }
+
+  // Gather the keys of all of the objects that should be checked.
+  const keys = (name !== undefined)
+    ? await getBackupKeys(ctx, fromDatabase, name)
+    : (await r2ListPrefix(ctx, fromDatabase !== undefined ? `${fromDatabase}/` : ''))
+        .map(object => object.key)
+        .filter(key => key.startsWith(STAGING_PREFIX) === false);
+
+  const reencrypted = [];
+  for (const key of keys) {
+    const previousKeyId = await r2Reencrypt(ctx, key);
+    if (previousKeyId !== undefined) {
+      reencrypted.push({ key, previousKeyId });
+    }
+  }
+
+  return success(ctx, `encrypted ${reencrypted.length} of ${keys.length} object(s) with key '${encryptionKey.keyId}'`, {
+    keyId: encryptionKey.keyId,
+    checked: keys.length,
+    reencrypted,
+  });
+}
+
+
+/******************************************************************************/
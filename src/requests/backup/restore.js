@@ -1,311 +1,598 @@
 /******************************************************************************/
 
 
-import { success, fail } from '#requests/common';
+import { success, fail, RequestError } from '#requests/common';
 
-import { getDBResult } from '#db/common';
-import { dbBkpGetTableList } from '#db/backup';
+import { getDBResult, quoteIdentifier } from '#db/common';
+import { dbBkpGetTableList, dbBkpGetTableDetails, dbBkpGetViewsAndTriggers,
+         dbBkpGetInsertStatement } from '#db/backup';
 
-import { r2KeyExists, r2FetchJSON, r2RawGet } from '#r2';
+import { isTarballName, openBackup, validateBackup, applyTableSelection, readChunkData, dropTables,
+         MAX_BATCH_STATEMENTS, MAX_BATCH_BYTES } from '#requests/backup/common';
 
-import { extract, TAR_OBJECT_TYPE_FILE } from 'streaming-tarball';
+import { decodeValue, sqlValues } from '#values';
 
 
 /******************************************************************************/
 
 
-/* Given a key that represents a tarball, return back a stream that can be used
- * to extract the contents of the tarball.
+/* Given a database and a metadata object for doing a restore, verify that the
+ * database is in a state that allows the tables in the metadata to be restored
+ * using the given restore mode:
+ *   - fail: none of the tables can exist in the database
+ *   - replace: any of the tables can exist; they will be replaced
+ *   - dataOnly: all of the tables must exist, with the same columns
  *
- * This can handle uncompressed keys (extension of '.tar') and gzipped tar files
- * (extention of '.tgz') only.
+ * If the database is not in the right state, a RequestError is thrown that
+ * explains why.
  *
- * If the key represents a file that exists in the bucket and is one of the
- * supported tar formats (based on filename), a stream is returned that can be
- * extracted by streaming-tarball ; otherwise null is returned. */
-async function getTarStream(ctx, key) {
-  // Verify that the file that this represents is one of the formats that we can
-  // handle.
-  if (key.endsWith('.tar') === false && key.endsWith('.tgz') === false) {
-    console.log(`input key ${key} is not a recongnized tarball filename`);
-    return null;
+ * The return value is a list of all of the tables that exist in the database
+ * already AND which are scheduled to be restored by the backup described by the
+ * metadata, in load order.
+ *
+ * This list could be empty. */
+async function verifyDbTables(ctx, db, metadata, mode) {
+  // Gather the list of tables from the database and filter that down to tables
+  // that exist in the passed in metadata.
+  const currentData = await dbBkpGetTableDetails(db);
+  const existing = metadata.loadOrder.filter(e => currentData[e] !== undefined);
+
+  // For a regular restore, no tables can exist; for a replacement any table can
+  // exist, since they will all be replaced.
+  if (mode === 'fail' && existing.length !== 0) {
+    throw new RequestError(`cannot restore; tables to be restored already exist`, 400, existing);
+  }
+  if (mode !== 'dataOnly') {
+    return existing;
   }
 
-  // Try to fetch the tarball object from the bucket; early fail if we can't.
-  const tarball = await r2RawGet(ctx, key);
-  if (tarball === null) {
-    return null;
+  // For a data only restore, every table must already exist and have exactly
+  // the columns that the backup has, though not necessarily in the same order.
+  const missing = metadata.loadOrder.filter(e => currentData[e] === undefined);
+  const mismatched = existing.filter(e => {
+    const want = metadata.tables[e].columns;
+    const have = currentData[e].columns;
+    return want.length !== have.length || want.some(column => have.includes(column) === false);
+  });
+
+  if (missing.length !== 0 || mismatched.length !== 0) {
+    throw new RequestError(`cannot restore data; tables are missing or have different columns`, 400, { missing, mismatched });
+  }
+
+  return existing;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a database and a metadata object for doing a restore, find all of the
+ * views and triggers in the database that have the same name as a view or
+ * trigger that the restore will create.
+ *
+ * For a regular restore, none of them can exist, and a RequestError is thrown
+ * if any do. A data only restore does not create views or triggers, so it
+ * never has any conflicts.
+ *
+ * The return value is an object with a "views" and "triggers" key that lists
+ * the names of the conflicting views and triggers; the lists could be empty. */
+async function verifyDbViewsAndTriggers(ctx, db, metadata, mode) {
+  if (mode === 'dataOnly') {
+    return { views: [], triggers: [] };
   }
 
-  // If this is a compressed tarball, then we need to send the output through
-  // a decompression stream.
-  if (key.endsWith('.tgz')) {
-    return tarball.body.pipeThrough(new DecompressionStream('gzip'));
+  // SQLite names are not case sensitive, so compare them as such.
+  const current = await dbBkpGetViewsAndTriggers(db);
+  const conflicts = (want, have) => {
+    const names = new Set(have.map(e => e.name.toUpperCase()));
+    return want.filter(e => names.has(e.name.toUpperCase())).map(e => e.name);
+  };
+
+  const existing = {
+    views: conflicts(metadata.views ?? [], current.views),
+    triggers: conflicts(metadata.triggers ?? [], current.triggers),
+  };
+
+  if (mode === 'fail' && (existing.views.length !== 0 || existing.triggers.length !== 0)) {
+    throw new RequestError(`cannot restore; views or triggers to be restored already exist`, 400, existing);
   }
 
-  // The tar archive is "bare".
-  return tarball.body;
+  return existing;
 }
 
 
 /******************************************************************************/
 
 
-/* Given a database and a metadata object for doing a restore, verify that the
- * database does not contain any of the tables that are about to be restored.
+/* Given a database and a metadata object for a restore whose data has been
+ * loaded, put the AUTOINCREMENT counter of every table that has one back to
+ * the value that it had when the backup was made.
  *
- * The return value is a list of all of the tables that exist in the database
- * already AND which are scheduled to be restored by the backup described by the
- * metadata.
+ * Inserting the data already moves the counters up to the largest rowid that
+ * was inserted, but rows that were deleted before the backup was made could
+ * have used larger ones; setting the counter ensures that those IDs are never
+ * handed out again. A counter is never moved backwards.
  *
- * This list could be empty. */
-async function verifyDbTables(ctx, db, metadata) {
-  // Gather the list of tables from the database and filter that down to tables
-  // that exist in the passed in metadata.
-  let currentData = await dbBkpGetTableList(db);
+ * The return value is the list of the names of the tables whose counters were
+ * restored. */
+async function restoreSequences(ctx, dbHandle, metadata) {
+  const tables = metadata.loadOrder
+    .map(name => metadata.tables[name])
+    .filter(table => table.sequence !== undefined);
+  if (tables.length === 0) {
+    return [];
+  }
 
-  // Return the list of tables that exist in both places.
-  return Object.keys(currentData).filter(e => metadata.tables[e] !== undefined);
+  // There may not be a row for the table yet if it has no data.
+  const sequenceBatch = tables.flatMap(table => {
+    const { placeholder, binding } = decodeValue(table.sequence);
+    const seq = placeholder.replace('?', '?2');
+
+    return [
+      dbHandle.prepare(`
+        UPDATE sqlite_sequence SET seq = MAX(seq, ${seq})
+         WHERE name = ?1`).bind(table.name, binding),
+      dbHandle.prepare(`
+        INSERT INTO sqlite_sequence (name, seq)
+          SELECT ?1, ${seq}
+           WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = ?1)`).bind(table.name, binding)
+    ];
+  });
+
+  getDBResult('restoreSequences', 'set_sequence', await dbHandle.batch(sequenceBatch));
+  return tables.map(table => table.name);
 }
 
 
 /******************************************************************************/
 
 
-/* Given a database to restore into, a table dictionary that describes a table
- * to be restored, and a data object that is a stream of the data to be inserted
- * into the table and will:
- *   1. Create the table in the database
- *   2. Create all indexes on the table
- *   3. Insert all of the data from the data stream into the table.
+/* Given a database and a metadata object for a restore, create all of the
+ * views and then all of the triggers that the metadata describes.
  *
- * The current implementation presumes that "await dataStream.text()" will
- * content of the file to be used to contain the data, and that it is stored in
- * a JSON format.
+ * This should be done only once all of the tables and their data are in place,
+ * so that the triggers do not fire for any of the restored data. */
+async function createViewsAndTriggers(ctx, dbHandle, metadata) {
+  const DDL = [...(metadata.views ?? []), ...(metadata.triggers ?? [])].map(e => e.sql);
+  if (DDL.length === 0) {
+    return;
+  }
+
+  const createBatch = DDL.map(sql => dbHandle.prepare(sql));
+  getDBResult('createViewsAndTriggers', 'create_views', await dbHandle.batch(createBatch));
+}
+
+
+/******************************************************************************/
+
+
+/* D1 limits the number of parameters that can be bound to a single statement;
+ * inserts combine as many rows into a single statement as this allows. A row
+ * of a table with more columns than this is inserted on its own, with the
+ * values that don't fit put into the SQL as literals; see sqlValues(). */
+const MAX_BOUND_PARAMETERS = 100;
+
+
+/******************************************************************************/
+
+
+/* Given the number of columns in a table and the rows of data to insert into
+ * it, split the rows up into batches that stay under the batch limits.
  *
- * The return value is an object that contains the name of the table, the number
- * of indexes it has, and the number of rows inserted. */
-async function restoreTable(ctx, dbHandle, table, dataStream) {
+ * Each batch is a list of statements, and each statement is a list of the rows
+ * that are inserted together by a single multi-row INSERT; each statement has
+ * as many rows as fit within the bound parameter limit, but always at least
+ * one. The size of each row is estimated from its JSON encoding, and a batch
+ * is ended early if adding a statement would take it over the size limit. */
+function planInsertBatches(columnCount, data) {
+  const rowsPerStatement = Math.max(1, Math.floor(MAX_BOUND_PARAMETERS / columnCount));
+
+  const batches = [];
+  let batch = [];
+  let batchBytes = 0;
+
+  for (let i = 0; i < data.length; i += rowsPerStatement) {
+    const statement = data.slice(i, i + rowsPerStatement);
+    const bytes = statement.reduce((sum, row) => sum + JSON.stringify(row).length, 0);
+
+    if (batch.length !== 0 && (batch.length === MAX_BATCH_STATEMENTS || batchBytes + bytes > MAX_BATCH_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+
+    batch.push(statement);
+    batchBytes += bytes;
+  }
+
+  if (batch.length !== 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a database to restore into and a table dictionary that describes a
+ * table to be restored, create the table in the database along with all of
+ * its indexes. */
+async function createTable(ctx, dbHandle, table) {
   // Generate a SQL batch to create the table and all of its indexes and
   // execute it.
   const DDL = [table.sql, ...table.indexes.map(i => i.sql)];
   const createBatch = DDL.map(sql => dbHandle.prepare(sql));
-  getDBResult('restoreTable', table.name, await dbHandle.batch(createBatch));
+  getDBResult('createTable', table.name, await dbHandle.batch(createBatch));
+}
 
-  // Now that the table is set up, we can actually pull in the data we are going
-  // to insert.
-  const data = JSON.parse(await dataStream.text());
 
-  // Set up our eventual return.
-  const result = {
-    name: table.name,
-    indexes: table.indexes.length,
-    rows: data.length
+/******************************************************************************/
+
+
+/* Given a table dictionary that describes a table being restored and the list
+ * of tables in the foreign key cycle that it is a part of, return back the
+ * list of its columns whose foreign keys refer to tables in the cycle. */
+function getCycleColumns(table, cycle) {
+  return table.constraints
+    .filter(e => cycle.includes(e.table))
+    .map(e => e.from)
+    .filter((column, i, list) => list.indexOf(column) === i);
+}
+
+
+/******************************************************************************/
+
+
+/* Given a metadata object for a restore, make sure that the data of every table
+ * that is a part of a foreign key cycle can be restored as planned by
+ * planDeferredColumns(). This requires that the table has a primary key, and
+ * that none of the columns whose foreign keys refer to tables in the cycle are
+ * a part of that key or are NOT NULL.
+ *
+ * If any table in a cycle can't be restored, a RequestError is thrown that
+ * lists them, along with the columns that are the problem; this is meant to be
+ * done before anything in the database is touched. */
+function verifyCycles(metadata) {
+  const problems = [];
+  for (const cycle of metadata.cycles ?? []) {
+    for (const name of cycle) {
+      const table = metadata.tables[name];
+      const notNull = table.notNull ?? [];
+      const columns = getCycleColumns(table, cycle)
+        .filter(column => table.primaryKey.length === 0 || table.primaryKey.includes(column) || notNull.includes(column));
+
+      if (columns.length !== 0) {
+        problems.push({ table: name, columns, primaryKey: table.primaryKey.length !== 0 });
+      }
+    }
   }
 
-  // If there is no data to insert, then we can go ahead and return right now
-  // since there is nothing else to do.
-  if (data.length === 0) {
-    return result;
+  if (problems.length !== 0) {
+    throw new RequestError(`cannot restore foreign key cycles; tables need a primary key and nullable foreign key columns`, 400, problems);
   }
+}
 
-  // Prepare a statement that will insert data into this table
-  const insert = dbHandle.prepare(`
-    INSERT INTO ${table.name}
-             (${table.columns.join(', ')})
-      VALUES (${Array(table.columns.length).fill('?').join(', ')})`
-  );
 
-  // Create a batch insert that will insert all of the data for the table into
-  // the database.
-  const insertBatch = data.map(e => insert.bind(...e));
-  await dbHandle.batch(insertBatch);
+/******************************************************************************/
+
+
+/* Given a table dictionary that describes a table being restored and the list
+ * of tables in the foreign key cycle that it is a part of (if any), return back
+ * a plan for inserting its data that avoids foreign key violations.
+ *
+ * When a table is in a cycle, rows can refer to rows in tables that are not
+ * restored yet (or to later rows in the same table). To handle this, the
+ * columns whose foreign keys refer to tables in the cycle are deferred; rows
+ * are inserted with those columns set to NULL, and then the rows are patched
+ * with the real values once all of the tables in the cycle have been restored.
+ * The table has to have a primary key to find the rows to patch with, and the
+ * columns must allow NULL; see verifyCycles().
+ *
+ * The return value is null if the table is not in a cycle, or an object of the
+ * form:
+ *     {
+ *         "columns": ["column2"],
+ *         "indexes": [1],
+ *         "keyIndexes": [0]
+ *     }
+ *
+ * columns is the list of deferred columns, and indexes and keyIndexes are the
+ * positions of the deferred and primary key columns in the data rows. */
+function planDeferredColumns(table, cycle) {
+  if (cycle === undefined) {
+    return null;
+  }
 
-  // Return the result object back.
-  return result;
+  const columns = getCycleColumns(table, cycle);
+  return {
+    columns,
+    indexes: columns.map(column => table.columns.indexOf(column)),
+    keyIndexes: table.primaryKey.map(column => table.columns.indexOf(column)),
+  };
 }
 
 
 /******************************************************************************/
 
 
-/* Perform a restore of a database backup using a collection of bare data files
- * sitting in the R2 bucket.
+/* Given a database to restore into, a table dictionary that describes a table
+ * that has been restored, the plan returned by planDeferredColumns() that was
+ * used to restore its data and the rows of one chunk of that data, update all
+ * of the rows that had values in the deferred columns to put the actual values
+ * into place.
  *
- * fromDatabase and name are used to construct the top level R2 key under which
- * all of the data files will be contained. toDatabase is the name of the
- * database that is being restored into, and dbHandle is the actual bound D1
- * instance for that database.
+ * The updates are sent in batches with foreign key checks deferred; if any
+ * batch fails, the error is rethrown as a RequestError.
  *
- * This will first look for and load the metadata.json file associated with the
- * backup, verify that none of the tables that it mentions exist already in the
- * database, and then in load order pull down and restore tables.
+ * The return value is the number of rows that were patched. */
+async function patchDeferredColumns(ctx, dbHandle, table, deferred, rows) {
+  const patches = rows
+    .filter(row => deferred.indexes.some(i => row[i] !== null))
+    .map(row => [...deferred.indexes.map(i => row[i]), ...deferred.keyIndexes.map(i => row[i])]);
+
+  // The values in the patches are encoded, so the SQL for them in the update
+  // statements varies; prepare each distinct one only once.
+  const statements = new Map();
+  const getUpdate = patch => {
+    const { sql: values, bindings } = sqlValues(patch, MAX_BOUND_PARAMETERS);
+    const sql = `
+    UPDATE ${quoteIdentifier(table.name)}
+       SET ${deferred.columns.map((column, i) => `${quoteIdentifier(column)} = ${values[i]}`).join(', ')}
+     WHERE ${table.primaryKey.map((column, i) => `${quoteIdentifier(column)} = ${values[deferred.columns.length + i]}`).join(' AND ')}`;
+
+    if (statements.has(sql) === false) {
+      statements.set(sql, dbHandle.prepare(sql));
+    }
+    return statements.get(sql).bind(...bindings);
+  };
+
+  for (let i = 0; i < patches.length; i += MAX_BATCH_STATEMENTS) {
+    const patchBatch = patches.slice(i, i + MAX_BATCH_STATEMENTS).map(getUpdate);
+    patchBatch.unshift(dbHandle.prepare(`PRAGMA defer_foreign_keys = on`));
+
+    try {
+      await dbHandle.batch(patchBatch);
+    }
+    catch (err) {
+      throw new RequestError(`patching the foreign keys of table '${table.name}' failed: ${err.message}`, 500);
+    }
+  }
+
+  return patches.length;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a database to restore into, a table dictionary that describes a table
+ * that is being restored, the chunk entry for one chunk of its data, and a
+ * data object that is a stream of the data in that chunk, insert all of the
+ * data from the data stream into the table.
  *
- * The return value is the eventual success() or fail() of the request to do
- * the restore.
+ * The data is read with readChunkData(), so data that does not match the
+ * digest recorded for the chunk is refused before anything is inserted. The
+ * values in it are encoded as by encodeValue(); they are decoded back to
+ * exactly the values that were backed up.
  *
- * On success, the return value provides information on the source and
- * destination database, the name of the database in question, and a list of all
- * of the restored tables along with a count of how many rows for each were
- * restored. */
-async function performBareFileRestore(ctx, fromDatabase, toDatabase, dbHandle, name) {
-  // All of our input files are going to come from R2 objects; this sets the
-  // base key that is used for each such file.
-  const baseKey = `${fromDatabase}/${name}`;
-
-  // Try to fetch the metadata file; if this doesnt work, then we can't actually
-  // restore anything because the main control file is missing.
-  const metaKey = `${baseKey}/metadata.json`;
-  const metadata = await r2FetchJSON(ctx, metaKey);
-  if (metadata === null) {
-    return fail(ctx, `metadata file '${metaKey}' not found`);
+ * If the table is a part of a foreign key cycle, deferred is the plan returned
+ * by planDeferredColumns(); the deferred columns of each row are inserted as
+ * NULL, to be patched by patchDeferredColumns() once the whole cycle has been
+ * restored. For all other tables, deferred is null.
+ *
+ * The data is inserted using several batches as planned by planInsertBatches()
+ * so that no batch exceeds the limits of the database. progress is a list that
+ * an entry is added to for each batch that is inserted, which says how many
+ * statements and rows were in the batch. If inserting a batch fails, the error
+ * is rethrown as a RequestError that carries the progress so far.
+ *
+ * The return value is the number of rows inserted. */
+async function restoreChunk(ctx, dbHandle, table, chunk, dataStream, deferred, progress) {
+  // Pull in the data we are going to insert, making sure that it is what was
+  // originally backed up.
+  //
+  // If there is no data to insert, then we can go ahead and return right now
+  // since there is nothing else to do.
+  const data = await readChunkData(table, chunk, dataStream);
+  if (data.length === 0) {
+    return 0;
   }
 
-  // Verify that none of the tables mentioned in the metadata exist; if they do,
-  // then we're gonna be trying to insert data into the database when it is
-  // already present.
-  const existing = await verifyDbTables(ctx, dbHandle, metadata)
-  if (existing.length !== 0) {
-    return fail(ctx, `cannot restore; tables to be restored already exist`, 400, existing);
+  // Leave out the values of any deferred columns; they are patched in later.
+  if (deferred !== null) {
+    data.forEach(row => deferred.indexes.forEach(i => row[i] = null));
   }
 
-  // Construct what will be our eventual return value.
-  const result = {
-    fromDatabase,
-    toDatabase,
-    name,
-    baseKey,
-    tables: []
-  }
+  // Insert statements have both a variable number of rows in them and
+  // variable placeholders in those rows; prepare each distinct one only once.
+  const statements = new Map();
+  const getInsert = rows => {
+    const { sql, bindings } = dbBkpGetInsertStatement(table, rows, MAX_BOUND_PARAMETERS);
 
-  // Going in table load order, grab the r2 object that contains the data for
-  // that table, then restore it.
-  //
-  // If there is any error during this process, the database is left as-is to
-  // allow for research to be done on what went wrong.
-  for (const name of metadata.loadOrder) {
-    // Get the table object and the underlying R2 object that holds the data
-    const table = metadata.tables[name];
-    const object = await r2RawGet(ctx, `${baseKey}/${name}.json`)
-    if (object === null) {
-      return fail(ctx, `cannot restore; table data file '${baseKey}/${name}.json' missing`);
+    if (statements.has(sql) === false) {
+      statements.set(sql, dbHandle.prepare(sql));
     }
+    return statements.get(sql).bind(...bindings);
+  };
 
-    // Restore the table to the database and push the result into the return
-    // value.
-    const contents = await restoreTable(ctx, dbHandle, table, object);
-    result.tables.push(contents);
+  // Insert each batch in turn, tracking the progress as we go.
+  for (const batch of planInsertBatches(table.columns.length, data)) {
+    const rows = batch.reduce((sum, statement) => sum + statement.length, 0);
+    const insertBatch = batch.map(getInsert);
+
+    try {
+      await dbHandle.batch(insertBatch);
+    }
+    catch (err) {
+      throw new RequestError(`restore of table '${table.name}' failed in batch ${progress.length + 1} (${chunk.file}): ${err.message}`, 500, progress);
+    }
+
+    progress.push({ file: chunk.file, statements: batch.length, rows });
   }
 
-  // Return the final result back
-  return success(ctx, 'backup restored from file collection', result);
+  return data.length;
 }
 
 
 /******************************************************************************/
 
 
-/* Perform a restore of a database backup using a tarball that is sitting in the
- * R2 bucket. The tarball can be either a bare tar or a compressed tgz file.
+/* Perform a restore of a database backup that is sitting in the R2 bucket,
+ * either as a collection of bare data files or as a tarball, which can be
+ * either a bare tar or a compressed tgz file.
  *
  * fromDatabase and name are used to construct the R2 key that names the source
- * tarball to use. toDatabase is the name of the database that is being restored
- * into, and dbHandle is the actual bound D1 instance for that database.
+ * backup to use. toDatabase is the name of the database that is being restored
+ * into, and dbHandle is the actual bound D1 instance for that database. mode is
+ * the restore mode, which controls what happens with tables that already exist
+ * in the database; see verifyDbTables().
  *
- * The tarball is required to have a specific order to the files contained
- * within it; the first file should be the metadata.json file, and each of the
+ * A tarball is required to have a specific order to the files contained within
+ * it; the first file should be the metadata.json file, and each of the
  * remaining files should be in the archive in the same order as the metadata
- * loadOrder mentions.
+ * loadOrder mentions. Checks are done to ensure that the files appear in the
+ * correct order and that no files in the archive related to tables that are not
+ * known to be a part of the backup.
+ *
+ * Tables that are a part of a foreign key cycle are restored with the columns
+ * that refer to the other tables in the cycle set to NULL; once the last table
+ * in the cycle has been restored, their data is read again to patch those
+ * columns to their actual values; see planDeferredColumns(). A cycle that can't
+ * be restored this way is refused before anything is done; see verifyCycles().
+ * Once all of the data is restored, the AUTOINCREMENT counters of the tables
+ * are restored as well.
  *
- * Checks are done to ensure that the files appear in the correct order and that
- * no files in the archive related to tables that are not known to be a part of
- * the backup.
+ * This will first load the metadata for the backup, narrow it down to the
+ * tables in the provided selection, verify that the database is in an
+ * appropriate state for the restore mode (dropping existing tables if they are
+ * being replaced, but only after reading through the whole backup with
+ * validateBackup()) and then in load order restore tables.
  *
- * The return value is the eventual success() or fail() of the request to do
- * the restore.
+ * The return value is the eventual success() of the request to do the restore;
+ * any failure is thrown as a RequestError.
  *
  * On success, the return value provides information on the source and
  * destination database, the name of the database in question, and a list of all
  * of the restored tables along with a count of how many rows for each were
- * restored. */
-async function performTarRestore(ctx, fromDatabase, toDatabase, dbHandle, name) {
-  // Get the name of the underlying R2 key that specifies the name of the
-  // tarball to be used.
-  const tarKey = `${fromDatabase}/${name}`;
-
-  // Obtain the stream required for the provided key; bail if we can't find it.
-  const tarball = await getTarStream(ctx, tarKey);
-  if (tarball === null) {
-    return fail(ctx, `file '${tarKey}' is not a valid tar file`);
+ * restored and the batches that they were inserted in, as well as the foreign
+ * key cycles that were handled and any views and triggers that were left out
+ * because of the table selection. */
+async function performRestore(ctx, fromDatabase, toDatabase, dbHandle, name, mode, selection) {
+  // Open the backup, which gives us the metadata and a way to get at the data
+  // for each of the tables.
+  const backup = await openBackup(ctx, fromDatabase, name);
+  const { key, members } = backup;
+
+  // Narrow the metadata down to the selected tables; tables in the database
+  // are able to satisfy the dependencies of the selected tables.
+  const dbTables = Object.keys(await dbBkpGetTableList(dbHandle));
+  const { metadata, added, skipped } = applyTableSelection(backup.metadata, selection, dbTables);
+  verifyCycles(metadata);
+
+  // Verify that the database is in a state that allows for the restore; in a
+  // replacement, any existing tables, views and triggers need to be dropped
+  // first. Nothing can be dropped until the whole backup is known to be good,
+  // since a problem with its data would otherwise be found only after the
+  // tables it replaces are gone.
+  const existing = await verifyDbTables(ctx, dbHandle, metadata, mode);
+  const existingOther = await verifyDbViewsAndTriggers(ctx, dbHandle, metadata, mode);
+  if (mode === 'replace') {
+    await validateBackup(ctx, fromDatabase, name);
+    await dropTables(ctx, dbHandle, existing, existingOther.views, existingOther.triggers);
   }
 
-  // Small inline helper to ensure that a tarball member is a file and that it
-  // has the name provided.
-  const isFile = (m, name) => m.header.type === TAR_OBJECT_TYPE_FILE && m.header.name === name;
-
-  // The list of files that we expect to be in the tarball, in archive order;
-  // before we start this must be the metadata.json file. Once the metadata is
-  // loaded, this will be expanded out.
-  let fileList = ['metadata.json'];
-  let metadata = null;
-
   // Construct what will be our eventual return value.
   const result = {
     fromDatabase,
     toDatabase,
     name,
-    tarKey,
-    tables: []
+    mode,
+    [isTarballName(name) ? 'tarKey' : 'baseKey']: key,
+    replaced: mode === 'replace' ? existing : [],
+    dependenciesAdded: added,
+    skipped,
+    cycles: metadata.cycles ?? [],
+    tables: [],
+    sequences: [],
+    views: [],
+    triggers: []
   }
 
-  // Iterate over all of the members in the tarball and handle them.
-  for await (const member of extract(tarball)) {
-    // This member should be the first item in the fileList array and be a file;
-    // if not, then this is not a valid backup tarball.
-    if (isFile(member, fileList[0]) === false) {
-      return fail(ctx, `unexpected file '${member.header.name}' in '${tarKey}'; expected '${fileList[0]}'`);
+  // Tables in a cycle are restored with their deferred columns patched in
+  // once every table in the cycle has been restored; find the cycle that each
+  // table is in, if any.
+  const cycleOf = {};
+  (metadata.cycles ?? []).forEach(cycle => cycle.forEach(name => cycleOf[name] = cycle));
+
+  // The tables in a cycle always appear together in the load order; this holds
+  // the tables of the cycle currently being restored that need patching. The
+  // patches come from the data of those tables, which is read through again a
+  // chunk at a time, so that they are never all held in memory.
+  let pending = [];
+  const patchPending = async () => {
+    const plans = new Map(pending.map(entry => [entry.table.name, entry]));
+    pending = [];
+    if (plans.size === 0) {
+      return;
+    }
+
+    const { members: cycleMembers } = await openBackup(ctx, fromDatabase, name);
+    for await (const { table, chunk, data } of cycleMembers([...plans.keys()])) {
+      const { deferred, current } = plans.get(table.name);
+      current.patched += await patchDeferredColumns(ctx, dbHandle, table, deferred, await readChunkData(table, chunk, data));
     }
+  };
 
-    // Remove this file from the list of files we expect to see now that we've
-    // seen it.
-    fileList.splice(0, 1);
-
-    // If we don't have any metadata yet, then we should load that and then
-    // validate that everything is OK with it.
-    if (metadata === null) {
-      // The metadata is JSON; parse it, then add to the list of files that we
-      // expect to see from the archive one file per table.
-      metadata = JSON.parse(await member.text());
-      fileList = metadata.loadOrder.map(e => `${e}.json`);
-
-      // Verify that the database doesn't contain any of the tables that this
-      // metadata is going to attempt to restore.
-      const existing = await verifyDbTables(ctx, dbHandle, metadata)
-      if (existing.length !== 0) {
-        return fail(ctx, `cannot restore; tables to be restored already exist`, 400, existing);
+  // Going in table load order, restore each table from its data; the first
+  // chunk of each table is where the table gets created, unless this is a data
+  // only restore.
+  //
+  // If there is any error during this process, the database is left as-is to
+  // allow for research to be done on what went wrong.
+  let current = null;
+  let deferred = null;
+  for await (const { table, chunk, index, data } of members(metadata.loadOrder)) {
+    if (index === 0) {
+      // Leaving a cycle means that all of its tables are in place, so any
+      // deferred columns can now be patched.
+      if (pending.length !== 0 && cycleOf[table.name] !== cycleOf[pending[0].table.name]) {
+        await patchPending();
       }
 
-      // The metadata is handled now; skip to the next member.
-      continue;
-    }
+      if (mode !== 'dataOnly') {
+        await createTable(ctx, dbHandle, table);
+      }
 
-    // This member represents a file that describes a specific table; pull the
-    // extension off to get the table name, then look up the table in the
-    // metadata to get the object that describes it.
-    const tableName = member.header.name.split('.')[0];
-    const table = metadata.tables[tableName];
+      current = { name: table.name, indexes: table.indexes.length, rows: 0, batches: [] };
+      result.tables.push(current);
 
-    // If there is no such table, then we can't proceed with the restore.
-    if (table === undefined) {
-      return fail(ctx, `cannot restore; tarball contains entry for table ${tableName} but the metadata.json does not mention it`);
+      deferred = planDeferredColumns(table, cycleOf[table.name]);
+      if (deferred !== null) {
+        current.patched = 0;
+        pending.push({ table, deferred, current });
+      }
     }
 
-    // Restore this table and add the result to the eventual return value.
-    const contents = await restoreTable(ctx, dbHandle, table, member);
-    result.tables.push(contents);
+    current.rows += await restoreChunk(ctx, dbHandle, table, chunk, data, deferred, current.batches);
+  }
+  await patchPending();
+
+  // With all of the data in place, put the AUTOINCREMENT counters back.
+  result.sequences = await restoreSequences(ctx, dbHandle, metadata);
+
+  // With all of the data in place, create the views and triggers; a data only
+  // restore leaves the ones in the database alone.
+  if (mode !== 'dataOnly') {
+    await createViewsAndTriggers(ctx, dbHandle, metadata);
+    result.views = (metadata.views ?? []).map(e => e.name);
+    result.triggers = (metadata.triggers ?? []).map(e => e.name);
   }
 
-  return success(ctx, 'backup restored from tarball', result);
+  // Return the final result back
+  const source = isTarballName(name) ? 'tarball' : 'file collection';
+  return success(ctx, `backup restored from ${source}`, result);
 }
 
 
@@ -318,10 +605,13 @@ async function performTarRestore(ctx, fromDatabase, toDatabase, dbHandle, name)
  * the new data into.
  *
  * The data will be streamed from the bucket and inserted into the destination
- * database. */
+ * database. The restore mode determines whether tables that already exist in
+ * the destination cause the restore to fail, are replaced, or are the target of
+ * a data only restore. */
 export async function reqRestoreDump(ctx) {
-  // Grab the database and backup names out of the body.
-  const { fromDatabase, toDatabase, name } = ctx.req.valid('json');
+  // Grab the database and backup names out of the body, along with the mode
+  // and the tables to restore.
+  const { fromDatabase, toDatabase, name, mode, ...selection } = ctx.req.valid('json');
 
   // Pull the destination database binding out of the context; if this does not
   // match a know DB, generate an error.
@@ -330,14 +620,9 @@ export async function reqRestoreDump(ctx) {
     return fail(ctx, `no such bound database '${toDatabase}'`);
   }
 
-  // If the key prefix ends in .tar or .tgz, then this is a tar restore, so
-  // stream the data from the tarball.
-  if (name.endsWith('.tar') === true || name.endsWith('.tgz') === true) {
-    return await performTarRestore(ctx, fromDatabase, toDatabase, dbHandle, name);
-  }
-
-  // The restore must be from a collection of files; do a bare file restore.
-  return await performBareFileRestore(ctx, fromDatabase, toDatabase, dbHandle, name);
+  // Perform the restore; this handles both tarballs and collections of files,
+  // based on the extension of the name.
+  return await performRestore(ctx, fromDatabase, toDatabase, dbHandle, name, mode, selection);
 }
 
 
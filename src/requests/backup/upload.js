@@ -0,0 +1,60 @@
+/******************************************************************************/
+
+
+import { success, fail } from '#requests/common';
+import { validateBackup } from '#requests/backup/common';
+
+import { dbBkpInsert } from '#db/backup';
+
+import { r2KeyExists, r2StoreStream, r2Delete } from '#r2';
+
+
+/******************************************************************************/
+
+
+/* Handles a request to upload a backup that was made elsewhere as a tarball,
+ * which is the body of the request, and register it in the list of backups so
+ * that it can be restored like any other backup.
+ *
+ * The tarball is stored in the bucket under the given database and backup
+ * name, with the extension for the format, and must not replace an existing
+ * backup. Once stored, it is validated with the same rules that are used when
+ * restoring it; if it is not valid, it is removed again. */
+export async function reqUploadBackup(ctx) {
+  const { fromDatabase, name: baseName, format } = ctx.req.valid('query');
+  const name = `${baseName}.${format}`;
+  const key = `${fromDatabase}/${name}`;
+
+  if (ctx.req.raw.body === null) {
+    return fail(ctx, `no backup archive was uploaded`);
+  }
+  if (await r2KeyExists(ctx, key) !== null) {
+    return fail(ctx, `backup '${name}' already exists for database '${fromDatabase}'`, 409);
+  }
+
+  const contentType = (format === 'tgz') ? 'application/gzip' : 'application/x-tar';
+  const object = await r2StoreStream(ctx, key, ctx.req.raw.body, contentType);
+
+  let validated;
+  try {
+    validated = await validateBackup(ctx, fromDatabase, name);
+  }
+  catch (err) {
+    await r2Delete(ctx, [key]);
+    throw err;
+  }
+
+  const record = await dbBkpInsert(ctx.env.sekurkopio, fromDatabase, name, object.size);
+  return success(ctx, `uploaded backup '${name}' with ${validated.tables.length} table(s)`, {
+    id: record.id,
+    fromDatabase,
+    name,
+    format,
+    tarKey: key,
+    size: object.size,
+    tables: validated.tables,
+  });
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,137 @@
+/******************************************************************************/
+
+
+import { success } from '#requests/common';
+import { openBackup, getTableChunks } from '#requests/backup/common';
+
+import { sha256 } from '#digest';
+
+
+/******************************************************************************/
+
+
+/* A text encoder used to determine the size in bytes of table data. */
+const encoder = new TextEncoder();
+
+
+/******************************************************************************/
+
+
+/* Given a chunk entry from the metadata of a backup and the text of its data
+ * file, check the data against the row count, size and digest that were
+ * recorded for it.
+ *
+ * The return value is an object that describes the chunk and what was found,
+ * including a list of the problems, which is empty if the data is intact. */
+async function verifyChunk(chunk, text) {
+  const bytes = encoder.encode(text);
+  const result = {
+    file: chunk.file,
+    rows: null,
+    size: bytes.length,
+    sha256: await sha256(bytes),
+    problems: []
+  };
+
+  // A backup from before the digests were recorded can't be verified.
+  if (chunk.sha256 === undefined) {
+    result.problems.push('no digest was recorded for this data file');
+    return result;
+  }
+
+  // Verify the digest and size, and then make sure that the data actually
+  // parses and has the right number of rows.
+  if (result.sha256 !== chunk.sha256) {
+    result.problems.push(`digest mismatch; expected ${chunk.sha256}`);
+  }
+  if (result.size !== chunk.size) {
+    result.problems.push(`size mismatch; expected ${chunk.size} bytes`);
+  }
+
+  try {
+    result.rows = JSON.parse(text).length;
+    if (result.rows !== chunk.rows) {
+      result.problems.push(`row count mismatch; expected ${chunk.rows} rows`);
+    }
+  }
+  catch (err) {
+    result.problems.push(`data is not valid JSON: ${err.message}`);
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Handle a request to verify a backup; this reads every data file in the
+ * backup, whether it is a directory style backup or a tarball, and checks each
+ * one against the row count, size and digest recorded in the metadata.
+ *
+ * No database is touched during the verification. The result lists every
+ * table and each of its data chunks, along with any problems that were found
+ * with them. A data file that is missing from a directory style backup is one
+ * such problem, and the rest of the backup is still verified. In a tarball, a
+ * member that is missing, out of order or can't be read is a problem for the
+ * data file that was expected, and the data files after it can't be verified,
+ * which is a problem for each of them. */
+export async function reqVerifyBackup(ctx) {
+  const { fromDatabase, name } = ctx.req.valid('json');
+
+  const { key, metadata, members } = await openBackup(ctx, fromDatabase, name);
+
+  // The results for every table, and the data files of each, in the order
+  // that they are read.
+  const tables = metadata.loadOrder.map(tableName => ({ name: tableName, chunks: [], problems: [] }));
+  const expected = metadata.loadOrder.flatMap((tableName, i) =>
+    getTableChunks(metadata.tables[tableName]).map(chunk => ({ result: tables[i], chunk })));
+
+  const addChunk = (result, chunk, verified) => {
+    result.chunks.push(verified);
+    result.problems.push(...verified.problems.map(problem => `${chunk.file}: ${problem}`));
+  };
+  const unverified = (chunk, problem) => ({ file: chunk.file, rows: null, size: null, sha256: null, problems: [problem] });
+
+  // Verify every chunk of every table; anything that stops the backup from
+  // being read any further is a problem for the chunk that was expected next.
+  let position = 0;
+  try {
+    for await (const { chunk, data } of members(undefined, true)) {
+      const verified = (data !== null)
+        ? await verifyChunk(chunk, await data.text())
+        : unverified(chunk, 'data file is missing');
+      addChunk(expected[position].result, chunk, verified);
+      position++;
+    }
+  }
+  catch (err) {
+    if (tables.length === 0) {
+      throw err;
+    }
+    if (position === expected.length) {
+      tables[tables.length - 1].problems.push(err.message);
+    }
+
+    for (const [i, { result, chunk }] of expected.slice(position).entries()) {
+      addChunk(result, chunk, unverified(chunk, (i === 0) ? err.message : 'not verified; an earlier data file could not be read'));
+    }
+  }
+
+  const failed = tables.filter(table => table.problems.length !== 0);
+  const result = {
+    fromDatabase,
+    name,
+    key,
+    verified: failed.length === 0,
+    tables,
+  };
+
+  const message = (failed.length === 0)
+    ? `all ${tables.length} table(s) verified`
+    : `${failed.length} of ${tables.length} table(s) failed verification`;
+  return success(ctx, message, result);
+}
+
+
+/******************************************************************************/
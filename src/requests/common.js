@@ -7,6 +7,23 @@ import { validator } from 'hono/validator';
 /******************************************************************************/
 
 
+/* An error that can be thrown from within a request handler (or anything that
+ * it calls) in order to fail the request with a specific message, HTTP status
+ * and result data, rather than the generic server error that is returned for
+ * any other exception. */
+export class RequestError extends Error {
+  constructor(message, status, result) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status ?? 400;
+    this.result = result;
+  }
+}
+
+
+/******************************************************************************/
+
+
 /* Generate a standardized success response from an API call.
  *
  * This generates a JSON return value with the given HTTP status, with a
@@ -98,6 +115,12 @@ export async function wrappedRequest(ctx, handler) {
     return await handler(ctx);
   }
   catch (err) {
+    // Errors that were thrown specifically to fail the request carry their
+    // own status and result.
+    if (err instanceof RequestError) {
+      return fail(ctx, err.message, err.status, err.result);
+    }
+
     // Fall back to a 500 error for everything else.
     return fail(ctx, err.message, 500);
   }
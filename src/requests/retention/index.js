@@ -0,0 +1,34 @@
+/******************************************************************************/
+
+
+import { Hono } from 'hono'
+
+import { wrappedRequest as _, validate } from '#requests/common';
+
+import { reqRetentionList, reqRetentionSet, reqRetentionDelete } from '#requests/retention/policy';
+
+import { RetentionSetSchema, RetentionDeleteSchema } from '#schema/retention'
+
+/******************************************************************************/
+
+
+/* Create a small "sub-application" to wrap all of our routes, and then
+ * map all routes in. */
+export const retention = new Hono();
+
+
+retention.get('/list',
+        ctx => _(ctx, reqRetentionList));
+
+
+retention.put('/set',
+        validate('json', RetentionSetSchema),
+        ctx => _(ctx, reqRetentionSet));
+
+
+retention.delete('/delete',
+        validate('json', RetentionDeleteSchema),
+        ctx => _(ctx, reqRetentionDelete));
+
+
+/******************************************************************************/
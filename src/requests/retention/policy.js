@@ -0,0 +1,42 @@
+/******************************************************************************/
+
+
+import { success } from '#requests/common';
+
+import { dbRetGetList, dbRetSetPolicy, dbRetDeletePolicy } from '#db/retention';
+
+
+/******************************************************************************/
+
+
+/* Handle a request to find the list of all retention policies. */
+export async function reqRetentionList(ctx) {
+  const policies = await dbRetGetList(ctx.env.sekurkopio);
+  return success(ctx, `found ${policies.length} retention policies`, policies);
+}
+
+
+/******************************************************************************/
+
+
+/* Handle a request to set the retention policy for a database, replacing any
+ * policy that it may already have. */
+export async function reqRetentionSet(ctx) {
+  const policy = await dbRetSetPolicy(ctx.env.sekurkopio, ctx.req.valid('json'));
+  return success(ctx, `set retention policy for '${policy.dbName}'`, policy);
+}
+
+
+/******************************************************************************/
+
+
+/* Handle a request to remove the retention policy for a database. */
+export async function reqRetentionDelete(ctx) {
+  const { dbName } = ctx.req.valid('json');
+
+  await dbRetDeletePolicy(ctx.env.sekurkopio, dbName);
+  return success(ctx, `removed retention policy for '${dbName}'`);
+}
+
+
+/******************************************************************************/
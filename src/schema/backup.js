@@ -12,7 +12,40 @@ import strftime from 'strftime';
 /* Generate a default value for a bucket key by using the current date and time,
  * including the seconds portion in order to avoid a clobber as much as is
  * possible. */
-const generateKey = () => strftime("%Y%m%d_%H%M%S");
+export const generateKey = () => strftime("%Y%m%d_%H%M%S");
+
+
+/******************************************************************************/
+
+
+/* The options that select which tables are included in a backup or restore;
+ * tables and excludeTables are lists of exact table names or glob patterns
+ * using '*' and '?'. When tables is not provided, all tables are included.
+ *
+ * Tables that are needed to satisfy the foreign keys of selected tables are
+ * added automatically unless includeDependencies is turned off, in which case
+ * the selection is rejected instead. */
+const tableSelection = {
+  tables: z.array(z.string().min(1)).nonempty().optional(),
+  excludeTables: z.array(z.string().min(1)).default([]),
+  includeDependencies: z.boolean().default(true),
+};
+
+
+/******************************************************************************/
+
+
+/* The formats that a backup can be created in; a collection of bare files in a
+ * folder, or a single tarball that is either uncompressed or gzipped. */
+export const BACKUP_FORMATS = ['files', 'tar', 'tgz'];
+
+
+/******************************************************************************/
+
+
+/* The default maximum number of rows that are stored in each of the chunk files
+ * that hold the data for a table in a backup. */
+export const DEFAULT_CHUNK_ROWS = 10000;
 
 
 /******************************************************************************/
@@ -24,11 +57,42 @@ const generateKey = () => strftime("%Y%m%d_%H%M%S");
  * The backup is generated from a specific database to files in the R2 bucket
  * with a folder named for the source database and the provided name.
  *
- * The name is optional here; if not provided a date/time stamp is used. */
+ * The name is optional here; if not provided a date/time stamp is used. When
+ * the format is a tarball, the name is given the appropriate extension.
+ *
+ * By default every table is backed up, but a subset can be selected. The data
+ * for each table is split into chunks of at most chunkRows rows each.
+ *
+ * For the files format, the objects can be gzip compressed; a compressed
+ * tarball uses the tgz format instead.
+ *
+ * Also for the files format, base can name an existing directory style backup
+ * of the same database to make an incremental backup, which only stores the
+ * data that changed since that backup. */
 export const BackupCreateSchema = z.object({
   fromDatabase: z.string().regex(/^[\w-]+$/),
   name: z.string().regex(/^[\w-]+$/).default(generateKey),
-});
+  format: z.enum(BACKUP_FORMATS).default('files'),
+  chunkRows: z.number().int().min(1).default(DEFAULT_CHUNK_ROWS),
+  compress: z.boolean().default(false),
+  base: z.string().regex(/^[\w-.]+$/).optional(),
+  ...tableSelection,
+}).refine(
+  data => data.format === 'files' || data.compress === false,
+  'compress only applies to the files format; use tgz for a compressed tarball'
+).refine(
+  data => data.format === 'files' || data.base === undefined,
+  'incremental backups can only be made in the files format'
+);
+
+
+/******************************************************************************/
+
+
+/* The modes that a restore can be done in; a restore can fail if any of the
+ * tables exist, replace any tables that exist, or insert data only into tables
+ * that already exist. */
+export const RESTORE_MODES = ['fail', 'replace', 'dataOnly'];
 
 
 /******************************************************************************/
@@ -39,11 +103,234 @@ export const BackupCreateSchema = z.object({
  *
  * The backup is restored into the given destination database, but the original
  * source database and name used during the backup creation are required to know
- * where to find the files. */
+ * where to find the files.
+ *
+ * The mode is optional; by default the restore fails if any of the tables in
+ * the backup already exist in the destination database.
+ *
+ * By default every table in the backup is restored, but a subset can be
+ * selected; tables that the selection depends on can also already exist in
+ * the destination database. */
 export const BackupRestoreSchema = z.object({
   fromDatabase: z.string().regex(/^[\w-]+$/),
   toDatabase: z.string().regex(/^[\w-]+$/),
   name: z.string().regex(/^[\w-.]+$/),
+  mode: z.enum(RESTORE_MODES).default('fail'),
+  ...tableSelection,
+});
+
+
+/******************************************************************************/
+
+
+/* When pinning or unpinning a backup, this specifies the data that should be
+ * provided in the request; pinned backups are never pruned.
+ *
+ * The backup is specified by the name of the database it was made from and the
+ * name of the backup, which includes the extension for a tarball. */
+export const BackupPinSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  name: z.string().regex(/^[\w-.]+$/),
+  isPinned: z.boolean().default(true),
+});
+
+
+/******************************************************************************/
+
+
+/* When pruning backups this specifies the data that should be provided in the
+ * request.
+ *
+ * The backups of the given database are pruned according to the retention
+ * policy for that database. Unless dryRun is explicitly turned off, nothing is
+ * removed and the result is only a preview of what would be pruned. */
+export const BackupPruneSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  dryRun: z.boolean().default(true),
+});
+
+
+/******************************************************************************/
+
+
+/* When deleting a backup this specifies the data that should be provided in
+ * the request.
+ *
+ * The backup is specified either by its ID in the list of backups, or by the
+ * name of the database it was made from and the name of the backup. A backup
+ * whose objects are incomplete will only be removed if force is set. */
+export const BackupDeleteSchema = z.object({
+  id: z.number().int().optional(),
+  fromDatabase: z.string().regex(/^[\w-]+$/).optional(),
+  name: z.string().regex(/^[\w-.]+$/).optional(),
+  force: z.boolean().default(false),
+}).refine(
+  data => data.id !== undefined || (data.fromDatabase !== undefined && data.name !== undefined),
+  'either id or both fromDatabase and name must be provided'
+);
+
+
+/******************************************************************************/
+
+
+/* When operating on an existing backup without modifying it, this specifies
+ * the data that should be provided in the request; the name of the database
+ * the backup was made from and the name of the backup, which includes the
+ * extension for a tarball. */
+export const BackupSelectSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  name: z.string().regex(/^[\w-.]+$/),
+});
+
+
+/******************************************************************************/
+
+
+/* When exporting a backup as a SQL dump, this specifies the data that should be
+ * provided in the request; the backup is specified the same as in
+ * BackupSelectSchema.
+ *
+ * The dump is returned in the response, unless store is set, in which case it
+ * is written to the bucket instead. By default every table in the backup is
+ * exported, but a subset can be selected. */
+export const BackupExportSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  name: z.string().regex(/^[\w-.]+$/),
+  store: z.boolean().default(false),
+  ...tableSelection,
+});
+
+
+/******************************************************************************/
+
+
+/* The modes that a SQL dump can be imported in; the same as the restore modes,
+ * except that a data only import is not possible. */
+export const IMPORT_MODES = ['fail', 'replace'];
+
+
+/******************************************************************************/
+
+
+/* When importing a SQL dump that is stored in the bucket, this specifies the
+ * data that should be provided in the request; the full R2 key of the dump and
+ * the database to import it into.
+ *
+ * The mode is optional; by default the import fails if any of the tables,
+ * views or triggers that the dump creates already exist. */
+export const BackupImportSchema = z.object({
+  toDatabase: z.string().regex(/^[\w-]+$/),
+  key: z.string().min(1),
+  mode: z.enum(IMPORT_MODES).default('fail'),
+});
+
+
+/******************************************************************************/
+
+
+/* When importing a SQL dump that is uploaded as the body of the request, this
+ * specifies the query parameters that should be provided in the request; these
+ * are the same as in BackupImportSchema, except for the key. */
+export const BackupImportUploadSchema = z.object({
+  toDatabase: z.string().regex(/^[\w-]+$/),
+  mode: z.enum(IMPORT_MODES).default('fail'),
+});
+
+
+/******************************************************************************/
+
+
+/* The formats that the data in a backup can be exported as CSV in; a single
+ * CSV file for one table, or a tarball of CSV files for every table that is
+ * either uncompressed or gzipped. */
+export const CSV_FORMATS = ['csv', 'tar', 'tgz'];
+
+
+/******************************************************************************/
+
+
+/* When exporting the data in a backup as CSV, this specifies the data that
+ * should be provided in the request; the backup is specified the same as in
+ * BackupSelectSchema.
+ *
+ * For the csv format, the table to export must be provided; the other formats
+ * export every table. */
+export const BackupCsvSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  name: z.string().regex(/^[\w-.]+$/),
+  table: z.string().min(1).optional(),
+  format: z.enum(CSV_FORMATS).default('csv'),
+}).refine(
+  data => data.format !== 'csv' || data.table !== undefined,
+  'a table must be provided to export a single CSV file'
+);
+
+
+/******************************************************************************/
+
+
+/* When uploading a backup archive, this specifies the query parameters that
+ * should be provided in the request; the database that the backup is for, the
+ * name to give the backup, and which of the tarball formats the archive is in.
+ *
+ * The name is optional; if not provided a date/time stamp is used. The final
+ * name of the backup has the extension for the format. */
+export const BackupUploadSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  name: z.string().regex(/^[\w-]+$/).default(generateKey),
+  format: z.enum(['tar', 'tgz']).default('tgz'),
+});
+
+
+/******************************************************************************/
+
+
+/* When converting a backup to a different format, this specifies the data that
+ * should be provided in the request; the backup is specified the same as in
+ * BackupSelectSchema, along with the format to convert it to.
+ *
+ * The original backup is kept unless deleteSource is set. */
+export const BackupConvertSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  name: z.string().regex(/^[\w-.]+$/),
+  format: z.enum(BACKUP_FORMATS),
+  deleteSource: z.boolean().default(false),
+});
+
+
+/******************************************************************************/
+
+
+/* When rotating the encryption key of backups, this specifies the data that
+ * should be provided in the request.
+ *
+ * With no database, every object in the bucket is encrypted again; otherwise
+ * only the backups of that database are, or only the named backup if there is
+ * one. */
+export const BackupRekeySchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/).optional(),
+  name: z.string().regex(/^[\w-.]+$/).optional(),
+}).refine(
+  data => data.name === undefined || data.fromDatabase !== undefined,
+  'fromDatabase must be provided along with name'
+);
+
+
+/******************************************************************************/
+
+
+/* When comparing two backups of the same database, this specifies the data
+ * that should be provided in the request; from is the older of the backups
+ * and to is the newer.
+ *
+ * The data in the tables is compared unless compareData is turned off, and
+ * up to samples rows of each kind of change are reported for each table. */
+export const BackupDiffSchema = z.object({
+  fromDatabase: z.string().regex(/^[\w-]+$/),
+  from: z.string().regex(/^[\w-.]+$/),
+  to: z.string().regex(/^[\w-.]+$/),
+  compareData: z.boolean().default(true),
+  samples: z.number().int().min(0).max(100).default(0),
 });
 
 
@@ -0,0 +1,44 @@
+/******************************************************************************/
+
+
+import { z } from 'zod';
+
+
+/******************************************************************************/
+
+
+/* A retention rule is an optional count; when not provided (or null), the rule
+ * is not in use. */
+const retentionRule = z.number().int().min(0).nullable().default(null);
+
+
+/******************************************************************************/
+
+
+/* When setting a retention policy this specifies the data that should be
+ * provided in the request.
+ *
+ * The policy applies to backups of the named database; a name of '*' sets the
+ * default policy that is used for any database without a policy of its own.
+ * Any rule that is not provided is not used. */
+export const RetentionSetSchema = z.object({
+  dbName: z.string().regex(/^([\w-]+|\*)$/),
+  keepLast: retentionRule,
+  keepDaily: retentionRule,
+  keepWeekly: retentionRule,
+  keepMonthly: retentionRule,
+  maxBytes: retentionRule,
+});
+
+
+/******************************************************************************/
+
+
+/* When removing a retention policy this specifies the data that should be
+ * provided in the request. */
+export const RetentionDeleteSchema = z.object({
+  dbName: z.string().regex(/^([\w-]+|\*)$/),
+});
+
+
+/******************************************************************************/
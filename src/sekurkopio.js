@@ -2,14 +2,17 @@ import { Hono } from 'hono';
 
 import { server_info } from '#requests/server_info/index';
 import { backup } from '#requests/backup/index';
+import { retention } from '#requests/retention/index';
+
+import { scheduled } from '#cron/index';
 
 
 /******************************************************************************/
 
 
-/* The Hono application that we use for routing; by exporting this directly, it
- * will hook into the appropriate Cloudflare Worker infrastructure to allow us
- * to handle requests. */
+/* The Hono application that we use for routing; by exporting its fetch handler,
+ * it will hook into the appropriate Cloudflare Worker infrastructure to allow
+ * us to handle requests. */
 const app = new Hono();
 
 /* The current API version; this prefixes all of our routes. */
@@ -36,7 +39,24 @@ app.route(`${APIV1}/server_info`, server_info);
 app.route(`${APIV1}/backup`, backup);
 
 
-/******************************************************************************/
+/*******************************************************************************
+ * Retention Routes
+ *******************************************************************************
+ * Items in this section have routes that are used to manage the policies that
+ * determine which backups are removed when backups are pruned.
+ ******************************************************************************/
 
+app.route(`${APIV1}/retention`, retention);
+
+
+/*******************************************************************************
+ * Worker Handlers
+ *******************************************************************************
+ * The worker handles requests via the Hono application, and cron triggers via
+ * the scheduled handler, which performs automatic backups and pruning.
+ ******************************************************************************/
 
-export default app;
+export default {
+  fetch: app.fetch,
+  scheduled
+};
@@ -0,0 +1,229 @@
+/******************************************************************************/
+
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createD1, d1Unavailable } from './support/d1.js';
+
+import { quoteIdentifier } from '#db/common';
+import { dbBkpGenerateMetaInfo, dbBkpGetTableContents, dbBkpGetRowidName,
+         dbBkpGetInsertStatement } from '#db/backup';
+
+
+/******************************************************************************/
+
+
+/* Tables whose names and columns are quoted in every way SQLite allows, are
+ * keywords, or contain characters that need quoting, along with some data for
+ * them that covers every storage class. The Cloudflare internal table is not
+ * backed up, but a table whose name only looks like one is. */
+const HOSTILE_SCHEMA = `
+  CREATE TABLE "order" (
+    "group" INTEGER PRIMARY KEY,
+    "index" TEXT,
+    "a ""quoted"" name" REAL,
+    [odd;name] BLOB,
+    \`back\`\`tick\` TEXT,
+    'single' TEXT
+  );
+  CREATE TABLE "Line Items" (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    "order" INTEGER REFERENCES "order" ("group"),
+    "select" TEXT NOT NULL
+  );
+  CREATE INDEX "by ""select""" ON "Line Items" ("select");
+  CREATE TABLE "rowid" (rowid TEXT, "values" TEXT);
+  CREATE TABLE "key table" (
+    "from" TEXT,
+    "to" INTEGER,
+    "where" BLOB,
+    PRIMARY KEY ("from", "to")
+  ) WITHOUT ROWID;
+  CREATE TABLE scfy (x TEXT);
+  CREATE TABLE _cf_KV (key TEXT, value TEXT);
+
+  INSERT INTO "order" VALUES
+    (1, 'one', 1.5, x'00ff', 'it''s', '"quoted"'),
+    (2, NULL, 2.0, x'', '', NULL),
+    (9007199254740993, 'big', 9e999, NULL, 'tab	and
+newline', 'ünïcödé 表');
+  INSERT INTO "Line Items" ("order", "select") VALUES
+    (1, 'a'), (1, 'b'), (2, 'c'), (9007199254740993, 'd'), (NULL, 'e');
+  INSERT INTO "rowid" (rowid, "values") VALUES
+    ('not the rowid', '1'), ('3', '2'), (NULL, '3');
+  INSERT INTO "key table" VALUES
+    ('a"b', 1, x'01'), ('a"b', 2, NULL), ('c''d', -9223372036854775808, x'02'),
+    ('[e]', 0, NULL), ('', 5, x'');
+  INSERT INTO scfy VALUES ('kept'), (NULL);
+  INSERT INTO _cf_KV VALUES ('internal', 'skipped');
+`;
+
+
+/******************************************************************************/
+
+
+/* Given a D1 database and a table entry from the metadata of a backup, return
+ * back every row in the table as the storage class and SQL literal of each of
+ * its values, in a stable order, so that two copies can be compared. */
+async function tableSnapshot(db, table) {
+  const columns = table.columns.map(quoteIdentifier);
+  return await db.prepare(`
+    SELECT ${columns.map(column => `typeof(${column}) || ':' || quote(${column})`).join(', ')}
+      FROM ${quoteIdentifier(table.name)}
+     ORDER BY ${columns.join(', ')}
+  `).raw();
+}
+
+
+/******************************************************************************/
+
+
+/* Given a D1 database, back it up the way that a backup does, and restore it
+ * into a new D1 database the way that a restore does, reading the data back in
+ * pages of the given size and inserting it with statements that have at most
+ * the given number of parameters.
+ *
+ * Return back the metadata, the new database and the largest number of
+ * parameters that any insert statement had. */
+async function roundTrip(db, pageSize, maxBindings) {
+  const metadata = await dbBkpGenerateMetaInfo(db);
+  const restored = createD1();
+  let mostBindings = 0;
+
+  for (const name of metadata.loadOrder) {
+    const table = metadata.tables[name];
+    restored.sqlite.exec([table.sql, ...table.indexes.map(index => index.sql)].join(';\n'));
+
+    let after = null;
+    do {
+      // Pages go through JSON, the same as they do when they're stored.
+      const page = JSON.parse(JSON.stringify(await dbBkpGetTableContents(db, table, after, pageSize)));
+      if (page.rows.length !== 0) {
+        const { sql, bindings } = dbBkpGetInsertStatement(table, page.rows, maxBindings);
+        await restored.prepare(sql).bind(...bindings).all();
+        mostBindings = Math.max(mostBindings, bindings.length);
+      }
+      after = page.next;
+    } while (after !== null);
+  }
+
+  return { metadata, restored, mostBindings };
+}
+
+
+/******************************************************************************/
+
+
+// The database code logs every query that it makes.
+before(() => console.log = () => {});
+
+
+/******************************************************************************/
+
+
+test('tables with hostile names round trip through a backup', { skip: d1Unavailable }, async () => {
+  const db = createD1();
+  db.sqlite.exec(HOSTILE_SCHEMA);
+
+  for (const pageSize of [1, 2, 100]) {
+    const { metadata, restored } = await roundTrip(db, pageSize, 100);
+
+    assert.deepEqual(metadata.loadOrder.toSorted(), ['Line Items', 'key table', 'order', 'rowid', 'scfy']);
+    assert.ok(metadata.loadOrder.indexOf('order') < metadata.loadOrder.indexOf('Line Items'));
+    assert.deepEqual(metadata.tables.order.columns,
+                     ['group', 'index', 'a "quoted" name', 'odd;name', 'back`tick', 'single']);
+
+    for (const name of metadata.loadOrder) {
+      const table = metadata.tables[name];
+      assert.deepEqual(await tableSnapshot(restored, table), await tableSnapshot(db, table), `table '${name}'`);
+    }
+  }
+});
+
+
+/******************************************************************************/
+
+
+test('a column that is named rowid does not hide the rowid', { skip: d1Unavailable }, async () => {
+  const db = createD1();
+  db.sqlite.exec(`
+    CREATE TABLE one (rowid TEXT);
+    CREATE TABLE two (rowid TEXT, _ROWID_ TEXT);
+    CREATE TABLE three (RowId TEXT, _rowid_ TEXT, oid TEXT);
+    CREATE TABLE bare (a TEXT, b TEXT, PRIMARY KEY (a)) WITHOUT ROWID;
+    INSERT INTO three VALUES ('a', 'b', 'c');
+  `);
+  const { tables } = await dbBkpGenerateMetaInfo(db);
+
+  assert.equal(dbBkpGetRowidName(tables.one), '_rowid_');
+  assert.equal(dbBkpGetRowidName(tables.two), 'oid');
+  assert.equal(dbBkpGetRowidName(tables.three), null);
+  assert.equal(dbBkpGetRowidName(tables.bare), null);
+
+  await assert.rejects(dbBkpGetTableContents(db, tables.three, null, 10), /hide its rowid/);
+});
+
+
+/******************************************************************************/
+
+
+test('rows with more values than can be bound round trip through a backup', { skip: d1Unavailable }, async () => {
+  const columns = Array.from({ length: 150 }, (_, i) => `c${i}`);
+  const values = [
+    columns.map((_, i) => (i % 3 === 0) ? `'text ${i}'` : (i % 3 === 1) ? `${i}.5` : `x'${i.toString(16).padStart(2, '0')}'`),
+    columns.map((_, i) => (i === 42) ? `'${'x'.repeat(10000)}'` : (i % 2 === 0) ? 'NULL' : '9007199254740993'),
+  ];
+
+  const db = createD1();
+  db.sqlite.exec(`
+    CREATE TABLE wide (${columns.join(', ')});
+    INSERT INTO wide VALUES ${values.map(row => `(${row.join(', ')})`).join(', ')};
+  `);
+
+  const { metadata, restored, mostBindings } = await roundTrip(db, 10, 100);
+  assert.equal(mostBindings, 100);
+  assert.deepEqual(await tableSnapshot(restored, metadata.tables.wide), await tableSnapshot(db, metadata.tables.wide));
+
+  // The largest value is one of the ones that is bound.
+  const { sql } = dbBkpGetInsertStatement(metadata.tables.wide, [[...Array(42).fill(null), 'x'.repeat(1000), ...Array(107).fill(1)]], 100);
+  assert.equal(sql.includes('x'.repeat(1000)), false);
+});
+
+
+/******************************************************************************/
+
+
+test('pages can be bounded to a range of keys', { skip: d1Unavailable }, async () => {
+  const db = createD1();
+  db.sqlite.exec(`
+    CREATE TABLE plain (value TEXT);
+    CREATE TABLE keyed (a TEXT, b INTEGER, PRIMARY KEY (a, b)) WITHOUT ROWID;
+    INSERT INTO plain VALUES ('one'), ('two'), ('three'), ('four'), ('five');
+    INSERT INTO keyed VALUES ('x', 1), ('x', 2), ('y', 1), ('y', 2), ('z', 1);
+  `);
+  const { tables } = await dbBkpGenerateMetaInfo(db);
+
+  // A range that is larger than a page is read a page at a time, and the last
+  // page of the range has no next page.
+  const first = await dbBkpGetTableContents(db, tables.plain, null, 2, [4]);
+  assert.deepEqual(first.rows, [['one'], ['two']]);
+  assert.deepEqual(first.next, first.last);
+
+  const second = await dbBkpGetTableContents(db, tables.plain, first.next, 2, [4]);
+  assert.deepEqual(second.rows, [['three'], ['four']]);
+
+  const third = await dbBkpGetTableContents(db, tables.plain, second.next, 2, [4]);
+  assert.deepEqual(third.rows, []);
+  assert.equal(third.next, null);
+  assert.equal(third.last, null);
+
+  // Keys with more than one column are compared as a whole.
+  const keyed = await dbBkpGetTableContents(db, tables.keyed, ['x', 1], 10, ['y', 2]);
+  assert.deepEqual(keyed.rows.map(row => row[0]), ['x', 'y', 'y']);
+  assert.equal(keyed.next, null);
+  assert.deepEqual(keyed.last, ['y', 2]);
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,46 @@
+/******************************************************************************/
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyRetention } from '#retention';
+
+
+/******************************************************************************/
+
+
+/* Return back a backup record as returned by dbBkpGetList(), made the given
+ * number of days before the start of 2026, with an optional base. */
+const backup = (id, daysAgo, size, baseName) => ({
+  id,
+  backupName: `b${id}`,
+  baseName: baseName ?? null,
+  createdAt: new Date(Date.UTC(2026, 0, 1) - daysAgo * 86400000).toISOString().slice(0, 19).replace('T', ' '),
+  size,
+  isPinned: false,
+});
+
+const NOW = new Date(Date.UTC(2026, 0, 1, 12));
+const names = list => list.map(b => b.backupName).sort();
+
+
+/******************************************************************************/
+
+
+test('the bases of kept backups are kept and count toward maxBytes', () => {
+  // b1 is a full backup, and b2 and b3 are incremental on top of it.
+  const backups = [backup(1, 3, 100), backup(2, 2, 10, 'b1'), backup(3, 1, 10, 'b2'), backup(4, 0, 50)];
+
+  const last = applyRetention(backups, { keepLast: 2 }, NOW);
+  assert.deepEqual(names(last.keep), ['b1', 'b2', 'b3', 'b4']);
+  assert.deepEqual(last.keep.find(b => b.backupName === 'b1').reasons, ['base']);
+
+  // Keeping b3 costs the size of its whole chain, so it has to go.
+  const sized = applyRetention(backups, { keepLast: 2, maxBytes: 100 }, NOW);
+  assert.deepEqual(names(sized.keep), ['b4']);
+  assert.deepEqual(names(sized.prune), ['b1', 'b2', 'b3']);
+});
+
+
+/******************************************************************************/
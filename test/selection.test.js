@@ -0,0 +1,88 @@
+/******************************************************************************/
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { restrictMetadata } from '#selection';
+
+
+/******************************************************************************/
+
+
+/* Return back the metadata for a small backup with the given views and
+ * triggers; Orders refers to Users, and Audit is on its own. */
+function makeMetadata(views, triggers) {
+  const table = (name, constraints) => ({ name, columns: ['id'], constraints });
+
+  return {
+    loadOrder: ['Users', 'Orders', 'Audit'],
+    cycles: [],
+    tables: {
+      Users: table('Users', []),
+      Orders: table('Orders', [{ table: 'Users', from: 'userId', to: 'id' }]),
+      Audit: table('Audit', []),
+    },
+    views,
+    triggers,
+  };
+}
+
+
+/******************************************************************************/
+
+
+test('views that use only kept tables and views are kept', () => {
+  const views = [
+    { name: 'UserNames', sql: 'CREATE VIEW UserNames AS SELECT id FROM users' },
+    { name: 'UserOrders', sql: 'CREATE VIEW UserOrders AS SELECT * FROM "Users" JOIN [Orders]' },
+    { name: 'AllNames', sql: 'CREATE VIEW AllNames AS SELECT * FROM UserNames' },
+    { name: 'OrderCount', sql: 'CREATE VIEW OrderCount AS SELECT count(*) FROM UserOrders' },
+  ];
+
+  const { metadata, skipped } = restrictMetadata(makeMetadata(views, []), ['Users', 'Audit']);
+
+  assert.deepEqual(metadata.loadOrder, ['Users', 'Audit']);
+  assert.deepEqual(metadata.views.map(view => view.name), ['UserNames', 'AllNames']);
+  assert.deepEqual(skipped.views, ['UserOrders', 'OrderCount']);
+});
+
+
+/******************************************************************************/
+
+
+test('triggers on kept tables and views are kept', () => {
+  const views = [
+    { name: 'UserNames', sql: 'CREATE VIEW UserNames AS SELECT id FROM Users' },
+    { name: 'OrderIds', sql: 'CREATE VIEW OrderIds AS SELECT id FROM Orders' },
+  ];
+  const triggers = [
+    { name: 'OnUser', table: 'users', sql: 'CREATE TRIGGER OnUser ...' },
+    { name: 'OnOrder', table: 'Orders', sql: 'CREATE TRIGGER OnOrder ...' },
+    { name: 'InsteadOfUser', table: 'UserNames', sql: 'CREATE TRIGGER InsteadOfUser ...' },
+    { name: 'InsteadOfOrder', table: 'OrderIds', sql: 'CREATE TRIGGER InsteadOfOrder ...' },
+  ];
+
+  const { metadata, skipped } = restrictMetadata(makeMetadata(views, triggers), ['Users']);
+
+  assert.deepEqual(metadata.triggers.map(trigger => trigger.name), ['OnUser', 'InsteadOfUser']);
+  assert.deepEqual(skipped, { views: ['OrderIds'], triggers: ['OnOrder', 'InsteadOfOrder'] });
+});
+
+
+/******************************************************************************/
+
+
+test('keeping every table keeps every view and trigger', () => {
+  const views = [{ name: 'V', sql: 'CREATE VIEW V AS SELECT * FROM Orders' }];
+  const triggers = [{ name: 'T', table: 'V', sql: 'CREATE TRIGGER T ...' }];
+
+  const { metadata, skipped } = restrictMetadata(makeMetadata(views, triggers), ['Users', 'Orders', 'Audit']);
+
+  assert.deepEqual(metadata.views, views);
+  assert.deepEqual(metadata.triggers, triggers);
+  assert.deepEqual(skipped, { views: [], triggers: [] });
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,81 @@
+/******************************************************************************/
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { splitStatements } from '#sql';
+
+
+/******************************************************************************/
+
+
+/* Given some SQL text and the size of the chunks to split it into, return back
+ * the list of statements that splitStatements() yields for it. */
+async function split(text, chunkSize) {
+  chunkSize ??= text.length;
+
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(text.slice(i, i + chunkSize));
+  }
+
+  const statements = [];
+  for await (const sql of splitStatements(chunks)) {
+    statements.push(sql);
+  }
+
+  return statements;
+}
+
+
+/******************************************************************************/
+
+
+test('statements are split at semicolons outside of strings and comments', async () => {
+  const text = `CREATE TABLE "a;b" (x TEXT); -- a comment; with a semicolon
+INSERT INTO "a;b" VALUES ('one;two'); /* another; */ INSERT INTO [a;b] VALUES ('it''s;');`;
+
+  for (const chunkSize of [undefined, 1, 7]) {
+    assert.deepEqual(await split(text, chunkSize), [
+      'CREATE TABLE "a;b" (x TEXT)',
+      `INSERT INTO "a;b" VALUES ('one;two')`,
+      `INSERT INTO [a;b] VALUES ('it''s;')`,
+    ]);
+  }
+});
+
+
+/******************************************************************************/
+
+
+test('a trigger ends at the END that closes its body', async () => {
+  const trigger = `CREATE TRIGGER t AFTER INSERT ON a BEGIN
+  UPDATE a SET x = 1;
+  DELETE FROM b;
+END`;
+
+  assert.deepEqual(await split(`${trigger};\nDELETE FROM a;`), [trigger, 'DELETE FROM a']);
+});
+
+
+/******************************************************************************/
+
+
+test('a CASE expression in a trigger does not end the trigger', async () => {
+  const trigger = `CREATE TRIGGER t AFTER INSERT ON a
+  WHEN CASE WHEN new.x > 0 THEN 1 ELSE 0 END
+BEGIN
+  UPDATE a SET y = CASE WHEN new.x > 10 THEN 'big' ELSE 'small' END;
+  UPDATE a SET z = CASE new.x WHEN 1 THEN CASE WHEN new.y IS NULL THEN 0 END END;
+  INSERT INTO log VALUES ('end;', "end", [case]);
+END`;
+
+  for (const chunkSize of [undefined, 1, 5]) {
+    assert.deepEqual(await split(`${trigger};\nINSERT INTO a VALUES (1);`, chunkSize),
+                     [trigger, 'INSERT INTO a VALUES (1)']);
+  }
+});
+
+
+/******************************************************************************/
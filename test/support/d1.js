@@ -0,0 +1,81 @@
+/******************************************************************************/
+
+
+/* node:sqlite is only available in newer versions of Node, so it is loaded
+ * only if it is there. */
+const { DatabaseSync, StatementSync } = await import('node:sqlite').catch(() => ({}));
+
+
+/******************************************************************************/
+
+
+/* An indication of whether createD1() can be used; it needs node:sqlite with
+ * support for returning rows as arrays, which only newer versions of Node have;
+ * when it can't be used, this is the reason why, for skipping tests. */
+export const d1Unavailable = (typeof StatementSync?.prototype.setReturnArrays !== 'function')
+  ? 'node:sqlite with setReturnArrays() is not available in this version of Node'
+  : false;
+
+
+/******************************************************************************/
+
+
+/* The meta information that is returned with every result; D1 reports on the
+ * query here, which is only used for logging. */
+const meta = { duration: 0, served_by: 'node:sqlite', last_row_id: 0, rows_read: 0, rows_written: 0 };
+
+
+/******************************************************************************/
+
+
+/* Create and return an object that stands in for a D1 database binding, using
+ * an in memory SQLite database from node:sqlite (see d1Unavailable). This
+ * supports the parts of the D1 API that the code uses:
+ *   - prepare(), and bind(), all() and raw() on the statements it returns
+ *   - batch(), which runs the statements in a single transaction
+ *
+ * As with D1, numbers are bound as REAL values and ArrayBuffers as BLOBs. The
+ * underlying database is available as the sqlite key. */
+export function createD1() {
+  const sqlite = new DatabaseSync(':memory:');
+
+  const statement = (sql, params) => ({
+    // A view over an empty ArrayBuffer binds as NULL rather than as an empty
+    // BLOB, but a copy of it does not.
+    bind: (...args) => statement(sql, args.map(arg => (arg instanceof ArrayBuffer) ? new Uint8Array(arg).slice() : arg)),
+
+    all: async () => ({ success: true, meta, results: sqlite.prepare(sql).all(...params) }),
+
+    raw: async () => {
+      const prepared = sqlite.prepare(sql);
+      prepared.setReturnArrays(true);
+      return prepared.all(...params);
+    },
+  });
+
+  return {
+    sqlite,
+
+    prepare: sql => statement(sql, []),
+
+    batch: async statements => {
+      sqlite.exec('BEGIN');
+      try {
+        const results = [];
+        for (const entry of statements) {
+          results.push(await entry.all());
+        }
+
+        sqlite.exec('COMMIT');
+        return results;
+      }
+      catch (err) {
+        sqlite.exec('ROLLBACK');
+        throw err;
+      }
+    },
+  };
+}
+
+
+/******************************************************************************/
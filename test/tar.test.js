@@ -0,0 +1,107 @@
+/******************************************************************************/
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+
+import { createTarStream, parsePaxHeader, PAX_HEADER_PREFIX } from '#tar';
+
+
+/******************************************************************************/
+
+
+/* Given a list of tar members as createTarStream() expects, return back the
+ * bytes of the archive that it produces. */
+async function createTar(members) {
+  const chunks = [];
+  for await (const chunk of createTarStream(members)) {
+    chunks.push(chunk);
+  }
+
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+
+/* Given some text, return back a stream of its bytes. */
+const textBody = text => new Blob([text]).stream();
+
+
+/******************************************************************************/
+
+
+test('members are padded out to whole blocks', async () => {
+  const archive = await createTar([
+    { name: 'one.json', data: '[1]' },
+    { name: 'two.json', size: 5, body: textBody('[2,3]') },
+  ]);
+
+  // Each member is a header block and a data block, followed by the two blocks
+  // that end the archive.
+  assert.equal(archive.length, 512 * 6);
+  assert.equal(new TextDecoder().decode(archive.subarray(512, 515)), '[1]');
+  assert.equal(new TextDecoder().decode(archive.subarray(1536, 1541)), '[2,3]');
+});
+
+
+/******************************************************************************/
+
+
+test('a member body that does not match its declared size is an error', async () => {
+  await assert.rejects(createTar([{ name: 'short.json', size: 10, body: textBody('[1]') }]),
+                       /has 3 bytes; expected 10/);
+  await assert.rejects(createTar([{ name: 'long.json', size: 2, body: textBody('[1]') }]),
+                       /larger than its declared size/);
+});
+
+
+/******************************************************************************/
+
+
+/* Given the bytes of an archive that starts with a pax extended header, return
+ * back the records in it as parsePaxHeader() does. */
+function readPaxHeader(archive) {
+  const decoder = new TextDecoder();
+  const field = (offset, width) => decoder.decode(archive.subarray(offset, offset + width)).replace(/\0+$/, '');
+
+  assert.ok(field(0, 100).startsWith(PAX_HEADER_PREFIX));
+  assert.equal(field(156, 1), 'x');
+
+  const size = parseInt(field(124, 11), 8);
+  return parsePaxHeader(decoder.decode(archive.subarray(512, 512 + size)));
+}
+
+
+/******************************************************************************/
+
+
+test('names too long for a tar header are stored in a pax header', async () => {
+  const names = ['short.json', `${'a'.repeat(95)}.0.json`, `${'ä表'.repeat(40)}.12.json`];
+  const archive = await createTar(names.map((name, i) => ({ name, data: `[${i}]` })));
+
+  // tar itself has to see the full names.
+  const listing = execFileSync('tar', ['--quoting-style=literal', '-tf', '-'], {
+    input: archive,
+    encoding: 'utf-8',
+    env: { ...process.env, LC_ALL: 'C.UTF-8' }
+  });
+  assert.deepEqual(listing.trim().split('\n'), names);
+});
+
+
+/******************************************************************************/
+
+
+test('pax records are parsed back regardless of the digits in their length', async () => {
+  // The shortest names that need a record, and those around where the length
+  // of the record gains a digit.
+  for (const length of [101, 102, 988, 989, 990, 991, 992, 993]) {
+    const name = `${'p'.repeat(length - 5)}.json`;
+    const archive = await createTar([{ name, data: '[]' }]);
+
+    assert.deepEqual(readPaxHeader(archive), { path: name });
+  }
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,30 @@
+/******************************************************************************/
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeValue, decodeValue, sqlLiteral } from '#values';
+
+
+/******************************************************************************/
+
+
+test('REAL values that JSON can not hold keep their value and sign', () => {
+  const cases = [
+    [-0, '-0.0', '-0.0'],
+    [2, '2', '2.0'],
+    [Infinity, '9e999', '9e999'],
+    [-Infinity, '-9e999', '-9e999'],
+  ];
+
+  for (const [value, text, literal] of cases) {
+    const encoded = JSON.parse(JSON.stringify(encodeValue('real', value)));
+    assert.deepEqual(encoded, { $real: text });
+    assert.equal(sqlLiteral(encoded), literal);
+    assert.ok(Object.is(Number(decodeValue(encoded).binding), value));
+  }
+});
+
+
+/******************************************************************************/